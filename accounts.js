@@ -0,0 +1,326 @@
+import { gmailAPI } from './gmail.js';
+import { SyncEngine, HISTORY_ID_KEY } from './sync.js';
+import { ProcessedStore, RetryQueue, STORE_KEY, RETRY_KEY } from './store.js';
+import { HttpError, ERROR_TYPES } from './http.js';
+
+/* =========================
+   Accounts
+   Each Gmail account signs in through launchWebAuthFlow and keeps
+   its own token, sync cursor, processed store and retry queue.
+   Tokens live in session storage so they never touch disk.
+========================= */
+
+export const ACCOUNTS_KEY = 'accounts';
+const TOKENS_KEY = 'auth_tokens';
+
+// Refresh a little early so a request never goes out with a dying token
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Settings an account may override; everything else is shared
+export const ACCOUNT_SETTING_KEYS = ['watchProfiles'];
+
+export function accountSettings(settings = {}, account = null) {
+  const merged = { ...settings };
+  ACCOUNT_SETTING_KEYS.forEach(key => {
+    if (account?.settings?.[key] !== undefined) merged[key] = account.settings[key];
+  });
+  return merged;
+}
+
+function stateKey(base, accountId) {
+  return `${base}:${accountId}`;
+}
+
+/* ---------------- PER-ACCOUNT STATE ---------------- */
+
+export class AccountState {
+  constructor(accountId) {
+    this.processed = new ProcessedStore(stateKey(STORE_KEY, accountId));
+    this.retry = new RetryQueue(stateKey(RETRY_KEY, accountId));
+    this.sync = new SyncEngine(gmailAPI, stateKey(HISTORY_ID_KEY, accountId));
+  }
+
+  async ensureLoaded() {
+    if (this.processed.loaded) return;
+
+    await this.processed.load();
+    await this.retry.load();
+  }
+
+  async flush() {
+    await this.processed.flush();
+    await this.retry.flush();
+  }
+
+  storageKeys() {
+    return [this.processed.storageKey, this.retry.storageKey, this.sync.storageKey];
+  }
+}
+
+/* ---------------- OAUTH ---------------- */
+
+function buildAuthUrl({ interactive, loginHint }) {
+  const { oauth2 } = chrome.runtime.getManifest();
+  const params = new URLSearchParams({
+    client_id: oauth2.client_id,
+    response_type: 'token',
+    redirect_uri: chrome.identity.getRedirectURL(),
+    scope: oauth2.scopes.join(' ')
+  });
+
+  if (loginHint) {
+    params.set('login_hint', loginHint);
+  }
+  if (!interactive) {
+    params.set('prompt', 'none');
+  } else if (!loginHint) {
+    // Adding an account: always show the picker, not the last-used account
+    params.set('prompt', 'select_account');
+  }
+
+  return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+}
+
+async function launchAuthFlow({ interactive, loginHint = null }) {
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: buildAuthUrl({ interactive, loginHint }),
+      interactive
+    });
+  } catch (error) {
+    throw new HttpError(`Sign-in failed: ${error.message}`, { status: 401, type: ERROR_TYPES.AUTH });
+  }
+
+  const params = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+  if (params.get('error') || !params.get('access_token')) {
+    throw new HttpError(`Sign-in failed: ${params.get('error') || 'no token returned'}`, {
+      status: 401,
+      type: ERROR_TYPES.AUTH
+    });
+  }
+
+  return {
+    token: params.get('access_token'),
+    expiresAt: Date.now() + Number(params.get('expires_in') || 3600) * 1000
+  };
+}
+
+// Best effort: an expired or already revoked token is just as signed out
+async function revokeToken(token) {
+  try {
+    await fetch('https://oauth2.googleapis.com/revoke', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token })
+    });
+  } catch (error) {
+    console.warn('Token revocation failed:', error);
+  }
+}
+
+/* ---------------- MANAGER ---------------- */
+
+export class AccountManager {
+  constructor() {
+    this.states = new Map(); // accountId -> AccountState
+    this.pending = new Map(); // "accountId:interactive" -> in-flight token request
+    this.writes = Promise.resolve(); // tail of the queued update() calls
+    this.tokenWrites = Promise.resolve(); // tail of the queued token map changes
+  }
+
+  async list() {
+    const data = await chrome.storage.local.get([ACCOUNTS_KEY]);
+    return data[ACCOUNTS_KEY] || [];
+  }
+
+  async get(accountId) {
+    return (await this.list()).find(account => account.id === accountId) || null;
+  }
+
+  async save(accounts) {
+    await chrome.storage.local.set({ [ACCOUNTS_KEY]: accounts });
+  }
+
+  // Updates run one at a time so concurrent patches don't drop each other
+  update(accountId, patch) {
+    const run = this.writes.then(() => this.applyUpdate(accountId, patch));
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  async applyUpdate(accountId, patch) {
+    const accounts = await this.list();
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+
+    Object.assign(account, patch);
+    await this.save(accounts);
+    return account;
+  }
+
+  state(accountId) {
+    if (!this.states.has(accountId)) {
+      this.states.set(accountId, new AccountState(accountId));
+    }
+    return this.states.get(accountId);
+  }
+
+  /* ---------- Adding and removing ---------- */
+
+  // Interactive: shows Google's account picker
+  async add() {
+    const grant = await launchAuthFlow({ interactive: true });
+    const profile = await gmailAPI.getProfile(grant.token);
+    const id = profile.emailAddress.toLowerCase();
+
+    const accounts = await this.list();
+    const existing = accounts.find(account => account.id === id);
+
+    if (existing) {
+      existing.needsReauth = false;
+    } else {
+      if (!accounts.length) {
+        await this.adoptLegacyState(id);
+      }
+      accounts.push({
+        id,
+        email: profile.emailAddress,
+        enabled: true,
+        needsReauth: false,
+        settings: {},
+        addedAt: new Date().toISOString()
+      });
+    }
+
+    await this.save(accounts);
+    await this.storeToken(id, grant);
+    return accounts.find(account => account.id === id);
+  }
+
+  async remove(accountId) {
+    const accounts = await this.list();
+    await this.save(accounts.filter(account => account.id !== accountId));
+
+    await chrome.storage.local.remove(this.state(accountId).storageKeys());
+    this.states.delete(accountId);
+
+    const grant = (await this.getTokens())[accountId];
+    if (grant) {
+      await revokeToken(grant.token);
+    }
+    await this.dropToken(accountId);
+  }
+
+  // The single-account build kept its state under unsuffixed keys
+  async adoptLegacyState(accountId) {
+    const legacyKeys = [STORE_KEY, RETRY_KEY, HISTORY_ID_KEY];
+    const data = await chrome.storage.local.get(legacyKeys);
+
+    const moved = {};
+    legacyKeys.forEach(key => {
+      if (data[key] !== undefined) moved[stateKey(key, accountId)] = data[key];
+    });
+
+    if (Object.keys(moved).length) {
+      await chrome.storage.local.set(moved);
+      await chrome.storage.local.remove(legacyKeys);
+    }
+  }
+
+  /* ---------- Tokens ---------- */
+
+  async getTokens() {
+    const data = await chrome.storage.session.get([TOKENS_KEY]);
+    return data[TOKENS_KEY] || {};
+  }
+
+  // Changes run one at a time so two accounts refreshing at once don't erase each other
+  changeTokens(change) {
+    const run = this.tokenWrites.then(async () => {
+      const tokens = await this.getTokens();
+      change(tokens);
+      await chrome.storage.session.set({ [TOKENS_KEY]: tokens });
+    });
+    this.tokenWrites = run.catch(() => {});
+    return run;
+  }
+
+  async storeToken(accountId, grant) {
+    await this.changeTokens(tokens => {
+      tokens[accountId] = grant;
+    });
+  }
+
+  async dropToken(accountId) {
+    await this.changeTokens(tokens => {
+      delete tokens[accountId];
+    });
+  }
+
+  // Revokes every grant and empties Chrome's token cache as well as ours
+  async forgetTokens() {
+    for (const grant of Object.values(await this.getTokens())) {
+      await revokeToken(grant.token);
+      await chrome.identity.removeCachedAuthToken({ token: grant.token });
+    }
+    await chrome.identity.clearAllCachedAuthTokens();
+    await chrome.storage.session.remove(TOKENS_KEY);
+    this.states.clear();
+  }
+
+  // Silent refresh relies on the user's Google session; interactive asks again
+  async getToken(accountId, { interactive = false } = {}) {
+    const cached = (await this.getTokens())[accountId];
+    if (cached && cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+
+    // Concurrent callers for one account share a single auth flow; an interactive
+    // caller never joins a silent one, which would fail without showing the prompt
+    const key = `${accountId}:${interactive}`;
+    if (!this.pending.has(key)) {
+      const flow = this.authorize(accountId, false).catch(error => {
+        if (!interactive) throw error;
+        return this.authorize(accountId, true);
+      });
+      this.pending.set(key, flow.finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async authorize(accountId, interactive) {
+    const account = await this.get(accountId);
+    if (!account) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+
+    try {
+      const grant = await launchAuthFlow({ interactive, loginHint: account.email });
+      await this.storeToken(accountId, grant);
+      if (account.needsReauth) {
+        await this.update(accountId, { needsReauth: false });
+      }
+      return grant.token;
+    } catch (error) {
+      await this.update(accountId, { needsReauth: true });
+      throw error;
+    }
+  }
+
+  // HttpClient hook: a token was rejected with 401
+  async refreshToken(staleToken) {
+    const tokens = await this.getTokens();
+    const accountId = Object.keys(tokens).find(id => tokens[id].token === staleToken);
+    if (!accountId) {
+      throw new HttpError('Token belongs to no signed-in account', { status: 401, type: ERROR_TYPES.AUTH });
+    }
+
+    await this.dropToken(accountId);
+    return this.getToken(accountId);
+  }
+}
+
+export const accountManager = new AccountManager();
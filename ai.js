@@ -1,3 +1,13 @@
+import { resolveProviderConfig, isProviderConfigured, complete, CONNECTION_TEST } from './providers.js';
+import { loadRules, evaluateRules } from './rules.js';
+import { classifyByKeywords, TAGS } from './fallback.js';
+import { bayesClassifier } from './bayes.js';
+import { feedbackStore } from './feedback.js';
+import { countByTag } from './digest.js';
+import { extractEntities, mergeExtraction } from './extract.js';
+import { loadSettings } from './settings.js';
+import { Redactor, learnNames } from './redact.js';
+
 const AI_PROMPT = `
 You are an assistant that summarizes emails for notifications.
 
@@ -6,6 +16,9 @@ TASK:
 - Rephrase in your own words. Do NOT copy sentences.
 - Clearly state what the email is about.
 - Clearly state whether the user should reply or not.
+- If attachments are listed, mention the important ones by name.
+- If CONVERSATION SO FAR is given, summarize only what the NEW message adds
+  to it, e.g. "Alex agreed to Tuesday; asks you to confirm the room".
 
 CLASSIFICATION RULES:
 - Reply Required → user must reply or confirm interest
@@ -13,10 +26,43 @@ CLASSIFICATION RULES:
 - No Reply Needed → confirmations or courtesy messages
 - Urgent → time-sensitive action needed
 
+EXTRACTION:
+- Copy codes, amounts and tracking numbers exactly as written.
+- Give dates as ISO 8601 in the email's local time; leave a list empty if nothing applies.
+
 OUTPUT FORMAT (JSON only):
 {
   "summary": "short rewritten summary (max 30 words)",
-  "tag": "Urgent|Reply Required|FYI|No Reply Needed"
+  "tag": "Urgent|Reply Required|FYI|No Reply Needed",
+  "entities": {
+    "deadlines": [{ "text": "what is due", "date": "ISO date" }],
+    "meetings": [{ "text": "what", "date": "ISO date", "location": "where or null" }],
+    "amounts": [{ "text": "$42.00" }],
+    "trackingNumbers": [{ "number": "1Z...", "carrier": "UPS or null" }],
+    "codes": [{ "code": "123456" }],
+    "actionItems": ["short imperative sentence"]
+  }
+}
+`;
+
+// Added when the redactor masked anything
+const PLACEHOLDER_NOTE = `
+PLACEHOLDERS:
+- Bracketed tokens such as [NAME_1] or [PHONE_2] stand in for private details.
+  Use them unchanged wherever you would mention that detail.
+`;
+
+const DIGEST_PROMPT = `
+You write the overview for a digest of email notifications.
+
+TASK:
+- Describe what happened across these emails in 2–3 short sentences.
+- Lead with anything urgent or needing a reply.
+- Mention senders by name where it helps. Do NOT list every email.
+
+OUTPUT FORMAT (JSON only):
+{
+  "overview": "short overview (max 60 words)"
 }
 `;
 
@@ -25,40 +71,93 @@ export class AIProcessor {
     this.settings = null;
   }
 
+  // Next call re-reads storage, e.g. after a new API key is saved
+  invalidateSettings() {
+    this.settings = null;
+  }
+
+  // Pings the configured provider; unsaved settings from a form override the stored ones
+  async testConnection(overrides = {}) {
+    const config = resolveProviderConfig({ ...(await this.loadSettings()), ...overrides });
+    if (!isProviderConfigured(config)) {
+      throw new Error(`${config.provider.label} is missing an API key, model or base URL`);
+    }
+
+    const started = Date.now();
+    await complete(config, CONNECTION_TEST.system, CONNECTION_TEST.user);
+    return {
+      provider: config.provider.label,
+      model: config.model,
+      latencyMs: Date.now() - started
+    };
+  }
+
   async loadSettings() {
     if (!this.settings) {
-      const data = await chrome.storage.local.get(['settings']);
-      this.settings = data.settings || { aiApiKey: null };
+      this.settings = await loadSettings();
     }
     return this.settings;
   }
 
-  async processEmail(subject, body) {
+  // context: earlier messages of the thread, [{ from, body }], oldest first
+  async processEmail(subject, body, sender = '', attachments = [], context = [], senderName = '') {
     const settings = await this.loadSettings();
     const cleaned = this.cleanEmail(body || '');
+    const config = resolveProviderConfig(settings);
+
+    let result = null;
+    let aiRequest = null;
+
+    if (settings.privacy.useAI && isProviderConfigured(config) && cleaned) {
+      const text = this.buildEmailText(
+        cleaned,
+        settings.privacy.includeAttachmentNames ? attachments : [],
+        settings.privacy.includeThreadContext ? context : []
+      );
+      // Cleaning flattens the sign-off, so names are learned from the raw body
+      const redactor = new Redactor(settings.privacy, [
+        senderName,
+        ...context.map(message => message.from),
+        ...learnNames(body || '')
+      ]);
+      aiRequest = await this.buildRequest(text, config, settings, redactor);
+      result = await this.callAI(aiRequest, config, settings, redactor, text);
+    }
 
-    if (!settings.aiApiKey || !cleaned) {
-      return this.basicFallback(subject, cleaned);
+    if (!result?.summary || result.summary.length < 10) {
+      // The request still went out, so history keeps it with the reason it wasn't used
+      if (aiRequest) {
+        aiRequest = { ...aiRequest, error: result?.error || 'The reply had no usable summary' };
+      }
+      result = { ...this.basicFallback(subject, cleaned, sender), source: 'fallback' };
+
+      // Keywords weren't confident; let the on-device model pick the tag
+      if (!result.category) {
+        const prediction = await bayesClassifier.classify(`${subject} ${cleaned}`);
+        result.tag = prediction.tag;
+      }
     }
 
-    const aiResult = await this.callAI(cleaned, settings.aiApiKey);
+    // Extraction reads the raw body: cleaning drops links and truncates
+    const raw = `${subject}\n${body || ''}`;
+    const { entities, ...classified } = result;
+    const extracted = mergeExtraction(entities, extractEntities(raw), raw);
 
-    if (!aiResult.summary || aiResult.summary.length < 10) {
-      return this.basicFallback(subject, cleaned);
-    }
+    const ruled = await this.applyRules({ ...classified, extracted, aiRequest }, subject, cleaned, sender);
+    return this.withAttachments(await this.applyOverride(ruled, sender), attachments);
+  }
 
-    // 🔹 ADD CONTEXTUAL HINT (INTERVIEW / HR)
-    const enhancedSummary = this.addContextHint(
-      aiResult.summary,
-      subject,
-      cleaned,
-      aiResult.tag
-    );
+  // "includes invoice.pdf" unless the summary already names the files
+  withAttachments(result, attachments) {
+    const names = attachments
+      .map(attachment => attachment.filename)
+      .filter(name => name && !result.summary.includes(name));
+    if (!names.length) return result;
 
-    return {
-      summary: enhancedSummary,
-      tag: aiResult.tag
-    };
+    const shown = names.slice(0, 2).join(', ');
+    const more = names.length > 2 ? ` and ${names.length - 2} more` : '';
+    const summary = result.summary.replace(/[.\s]*$/, '');
+    return { ...result, summary: `${summary} (includes ${shown}${more})` };
   }
 
   /* ---------------- CLEANING ---------------- */
@@ -77,320 +176,174 @@ export class AIProcessor {
 
   /* ---------------- AI ---------------- */
 
-  async callAI(text, apiKey) {
+  buildEmailText(cleaned, attachments, context) {
+    const names = attachments.map(attachment => attachment.filename);
+    const email = names.length ? `${cleaned}\nATTACHMENTS: ${names.join(', ')}` : cleaned;
+    if (!context.length) return email;
+
+    const conversation = context
+      .map(message => `[${message.from}] ${this.cleanEmail(message.body)}`)
+      .join('\n');
+    return `CONVERSATION SO FAR:\n${conversation}\n\nNEW MESSAGE:\n${email}`;
+  }
+
+  // Exactly what goes to the provider, kept on the history entry for the debug view
+  async buildRequest(text, config, settings, redactor) {
+    const message = `EMAIL:\n${redactor.mask(text)}`;
+    return {
+      provider: config.provider.label,
+      model: config.model,
+      prompt: await this.buildPrompt(settings, redactor),
+      message,
+      redacted: redactor.counts(),
+      restored: settings.privacy.restorePlaceholders && redactor.size > 0,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  // text: the unmasked email, for the on-device classifier
+  async callAI(request, config, settings, redactor, text) {
     try {
-      const res = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-3.5-turbo',
-          temperature: 0.4,
-          max_tokens: 120,
-          response_format: { type: 'json_object' },
-          messages: [
-            { role: 'system', content: AI_PROMPT },
-            { role: 'user', content: `EMAIL:\n${text}` }
-          ]
-        })
-      });
-
-      const data = await res.json();
-      const parsed = JSON.parse(data.choices[0].message.content);
+      const content = await complete(config, request.prompt, request.message);
+      let parsed = this.parseJSON(content);
+      if (settings.privacy.restorePlaceholders) {
+        parsed = redactor.restore(parsed);
+      }
+
+      // Invalid tags are settled by the on-device model instead of defaulting
+      const tag = TAGS.includes(parsed.tag)
+        ? parsed.tag
+        : (await bayesClassifier.classify(text)).tag;
 
       return {
         summary: parsed.summary.trim(),
-        tag: this.validateTag(parsed.tag)
+        tag,
+        entities: parsed.entities,
+        source: 'ai'
       };
     } catch (err) {
       console.error('AI error:', err);
-      return this.basicFallback('', text);
+      return { error: err.message };
     }
   }
 
-  /* ---------------- CONTEXT HINTING ---------------- */
-
-  addContextHint(summary, subject, body, tag) {
-  const text = `${subject} ${body}`.toLowerCase();
-
-  /* ───────────── AUTH / SECURITY / OTP ───────────── */
-
-  if (/one time password|otp|verification code|use this code/i.test(text)) {
-    return 'One-time password received for account verification.';
-  }
+  // The user's own instructions and recent corrections are appended to the base prompt
+  async buildPrompt(settings, redactor) {
+    await feedbackStore.ensureLoaded();
+    const examples = feedbackStore.getFewShotExamples();
+    const instructions = settings.aiInstructions.trim();
 
-  if (/new sign[- ]?in|signed in|login detected|new device/i.test(text)) {
-    return 'New sign-in detected on your account; review if this was you.';
-  }
-
-  if (/google sign[- ]?in|sign[- ]?in to google account/i.test(text)) {
-    return 'Google account sign-in detected; review activity if unexpected.';
-  }
-
-  if (/security alert|unusual activity|suspicious activity/i.test(text)) {
-    return 'Security alert on your account; review immediately.';
-  }
-
-  if (/password reset|reset your password|change your password/i.test(text)) {
-    return 'Password reset requested; take action if this was you.';
-  }
-
-  if (/verify your email|email verification|confirm your email/i.test(text)) {
-    return 'Email verification required to complete account setup.';
-  }
-
-  /* ───────────── ACCOUNT / ACCESS REQUESTS ───────────── */
-
-  if (/access request|permission request|requested access|shared with you/i.test(text)) {
-    return 'Access request received; review and approve if appropriate.';
-  }
-
-  if (/new device|new browser|new location/i.test(text)) {
-    return 'New device or location used to access your account.';
-  }
-
-  /* ───────────── CAREER / JOB ───────────── */
-
-  if (/interview|hr|recruiter|hiring|selection|availability|next round/i.test(text)) {
-    return 'Interview-related email; reply to confirm availability.';
-  }
-
-  if (/offer letter|job offer|we are pleased to offer/i.test(text)) {
-    return 'Job offer received; review details and respond.';
-  }
-
-  if (/regret to inform|not selected|application rejected/i.test(text)) {
-    return 'Application update received; no response required.';
-  }
-
-  if (/application status|application update|under review/i.test(text)) {
-    return 'Update on your job application status.';
-  }
-
-  /* ───────────── EVENTS / MEETINGS ───────────── */
-
-  if (/meeting request|schedule a call|calendar invite/i.test(text)) {
-    return 'Meeting request received; reply to schedule or confirm.';
-  }
-
-  if (/event|meetup|webinar|conference|session|join us/i.test(text)) {
-    return 'Event invitation received; reply if you want to attend.';
-  }
-
-  if (/rescheduled|new time|updated schedule/i.test(text)) {
-    return 'Meeting or event has been rescheduled; review updated details.';
-  }
-
-  if (/cancelled|canceled/i.test(text)) {
-    return 'Meeting or event has been cancelled.';
-  }
-
-  /* ───────────── PAYMENTS / FINANCE ───────────── */
-
-  if (/payment due|outstanding amount|due by|overdue/i.test(text)) {
-    return 'Payment due; review and complete before the deadline.';
-  }
-
-  if (/invoice|receipt|payment confirmation|transaction successful/i.test(text)) {
-    return 'Payment or invoice details received.';
-  }
-
-  if (/refund|credited back|refund initiated/i.test(text)) {
-    return 'Refund update received; check transaction details.';
-  }
+    let prompt = AI_PROMPT;
 
-  /* ───────────── SUBSCRIPTIONS / SERVICES ───────────── */
+    // Corrections name other senders, so they are masked too
+    const lines = examples.map(e => redactor.mask(
+      `- From ${e.sender || 'unknown'}, "${e.subject}" → ${e.to} (not ${e.from})`
+    ));
 
-  if (/subscription renewal|renewal notice|renews on/i.test(text)) {
-    return 'Subscription renewal notice received.';
-  }
-
-  if (/subscription cancelled|cancellation confirmed/i.test(text)) {
-    return 'Subscription cancellation confirmed.';
-  }
-
-  if (/plan upgraded|plan changed|billing plan/i.test(text)) {
-    return 'Your service plan has been updated.';
-  }
-
-  /* ───────────── PROMOTIONAL / MARKETING ───────────── */
-
-  if (/special offer|limited time offer|discount|sale|deal/i.test(text)) {
-    return 'Promotional offer received; check details if interested.';
-  }
-
-  if (/introducing|new launch|we are excited to announce/i.test(text)) {
-    return 'Promotional announcement about a new product or feature.';
-  }
-
-  /* ───────────── INFORMATIONAL ───────────── */
-
-  if (/newsletter|weekly digest|monthly update/i.test(text)) {
-    return 'Newsletter received; informational update.';
-  }
-
-  if (/policy update|terms updated|privacy policy/i.test(text)) {
-    return 'Policy update announced; review changes.';
-  }
-
-  if (/product update|new feature|feature release/i.test(text)) {
-    return 'Product update announced with new changes.';
-  }
-
-  /* ───────────── SOCIAL / CASUAL ───────────── */
-
-  if (/thank you|thanks for|appreciate/i.test(text)) {
-    return 'Thank-you or appreciation message received.';
-  }
-
-  if (/congratulations|congrats/i.test(text)) {
-    return 'Congratulations message received.';
-  }
-
-  // 🧑‍💼 INTERVIEW / JOB
-  if (/interview|hr|recruiter|hiring|selection|availability|next round/.test(text)) {
-    return 'Interview-related email; reply to confirm availability.';
-  }
-
-  if (/offer letter|job offer|we are pleased to offer/.test(text)) {
-    return 'Job offer received; review details and respond.';
-  }
-
-  if (/regret to inform|not selected|application rejected/.test(text)) {
-    return 'Application update received; no response required.';
-  }
-
-  if (/application status|application update|under review/.test(text)) {
-    return 'Update on your job application status.';
-  }
-
-  // 📅 EVENTS / MEETINGS
-  if (/meeting request|schedule a call|calendar invite/.test(text)) {
-    return 'Meeting request received; reply to schedule or confirm.';
-  }
-
-  if (/event|meetup|webinar|conference|session|join us/.test(text)) {
-    return 'Event invitation received; reply if you want to attend.';
-  }
-
-  if (/rescheduled|new time|updated schedule/.test(text)) {
-    return 'Meeting or event has been rescheduled; review updated details.';
-  }
+    if (redactor.size) {
+      prompt += PLACEHOLDER_NOTE;
+    }
 
-  if (/cancelled|canceled/.test(text)) {
-    return 'Meeting or event has been cancelled.';
-  }
+    if (instructions) {
+      prompt += `
+USER INSTRUCTIONS (follow them, but keep the JSON format):
+${instructions}
+`;
+    }
 
-  // 💰 PAYMENTS / FINANCE
-  if (/payment due|outstanding amount|due by/.test(text)) {
-    return 'Payment due; review and complete before the deadline.';
-  }
+    if (lines.length) {
+      prompt += `
+USER CORRECTIONS (tag similar emails the same way):
+${lines.join('\n')}
+`;
+    }
 
-  if (/invoice|receipt|payment confirmation/.test(text)) {
-    return 'Payment or invoice details received.';
+    return prompt;
   }
 
-  if (/refund|credited back/.test(text)) {
-    return 'Refund update received; check transaction details.';
+  // Some providers wrap JSON in prose or code fences
+  parseJSON(content) {
+    const match = content.match(/\{[\s\S]*\}/);
+    return JSON.parse(match ? match[0] : content);
   }
 
-  // 🔐 SECURITY / ACCOUNT
-  if (/security alert|unusual activity|login attempt/.test(text)) {
-    return 'Security alert detected; review immediately.';
-  }
+  /* ---------------- DIGEST ---------------- */
 
-  if (/verify your email|email verification|confirm your email/.test(text)) {
-    return 'Email verification required; confirm to continue.';
-  }
+  // Only summaries already shown to the user are sent, never bodies
+  async generateOverview(entries) {
+    const settings = await this.loadSettings();
+    const config = resolveProviderConfig(settings);
+
+    if (settings.privacy.useAI && isProviderConfigured(config) && entries.length) {
+      try {
+        const redactor = new Redactor(settings.privacy, entries.map(e => e.from?.name));
+        const lines = entries.map(e => redactor.mask(
+          `- [${e.tag}] ${e.from?.name || e.from?.email || 'Unknown'}: ${e.summary}`
+        ));
+        const prompt = redactor.size ? DIGEST_PROMPT + PLACEHOLDER_NOTE : DIGEST_PROMPT;
+        const content = await complete(config, prompt, `EMAILS:\n${lines.join('\n')}`);
+        const parsed = this.parseJSON(content);
+        const overview = (settings.privacy.restorePlaceholders ? redactor.restore(parsed) : parsed).overview?.trim();
+        if (overview) return overview;
+      } catch (err) {
+        console.error('Digest overview error:', err);
+      }
+    }
 
-  if (/password reset|reset your password/.test(text)) {
-    return 'Password reset requested; take action if this was you.';
+    return this.basicOverview(entries);
   }
 
-  // 🛒 SUBSCRIPTIONS / SERVICES
-  if (/subscription renewal|renewal notice/.test(text)) {
-    return 'Subscription renewal notice received.';
+  basicOverview(entries) {
+    const parts = Object.entries(countByTag(entries)).map(([tag, count]) => `${count} ${tag}`);
+    return `${entries.length} email${entries.length === 1 ? '' : 's'}: ${parts.join(', ')}.`;
   }
 
-  if (/subscription cancelled|cancellation confirmed/.test(text)) {
-    return 'Subscription cancellation confirmed.';
-  }
+  /* ---------------- RULES ---------------- */
 
-  if (/plan upgraded|plan changed/.test(text)) {
-    return 'Your service plan has been updated.';
-  }
+  async applyRules(result, subject, body, sender) {
+    const rules = await loadRules();
+    const match = evaluateRules(rules, {
+      subject,
+      body,
+      sender,
+      summary: result.summary,
+      source: result.source
+    });
+
+    if (!match) {
+      return { ...result, ruleId: null };
+    }
 
-  // 📢 INFORMATIONAL
-  if (/newsletter|monthly update|weekly digest/.test(text)) {
-    return 'Newsletter received; informational update.';
+    return {
+      ...result,
+      summary: match.summary,
+      tag: match.tag ? this.validateTag(match.tag) : result.tag,
+      ruleId: match.rule.id
+    };
   }
 
-  if (/policy update|terms updated|privacy policy/.test(text)) {
-    return 'Policy update announced; review changes.';
-  }
+  /* ---------------- FEEDBACK ---------------- */
 
-  if (/product update|new feature|feature release/.test(text)) {
-    return 'Product update announced with new changes.';
-  }
+  // A sender/domain correction always wins over the classifier
+  async applyOverride(result, sender) {
+    await feedbackStore.ensureLoaded();
+    const override = feedbackStore.getOverride(sender);
 
-  // 👋 SOCIAL / CASUAL
-  if (/thank you|thanks for|appreciate/.test(text)) {
-    return 'Thank-you or appreciation message received.';
-  }
+    if (!override || override === result.tag) {
+      return result;
+    }
 
-  if (/congratulations|congrats/.test(text)) {
-    return 'Congratulations message received.';
+    return { ...result, tag: override, tagOverridden: true };
   }
 
-  // ✅ DEFAULT → keep AI summary
-  return summary;
-}
-
-
   /* ---------------- FALLBACK ---------------- */
 
-  basicFallback(subject, text) {
-    if (/interview|hr|recruiter|hiring/i.test(text)) {
-      return {
-        summary: 'Interview-related email; reply to confirm next steps.',
-        tag: 'Reply Required'
-      };
-    }
-
-    if (/invite|event|meetup|session/i.test(text)) {
-      return {
-        summary: 'Event invitation; reply if you want to attend.',
-        tag: 'Reply Required'
-      };
-    }
-
-    if (/let us know|would you|please reply|respond/i.test(text)) {
-      return {
-        summary: 'This email asks for your response or confirmation.',
-        tag: 'Reply Required'
-      };
-    }
-
-    if (/update|announcement|newsletter|inform/i.test(text)) {
-      return {
-        summary: 'This email shares an update or announcement.',
-        tag: 'FYI'
-      };
-    }
-
-    return {
-      summary: subject
-        ? `This email is about ${subject.toLowerCase()}.`
-        : 'This email contains general information.',
-      tag: 'No Reply Needed'
-    };
+  basicFallback(subject, text, sender = '') {
+    return classifyByKeywords({ subject, body: text, sender });
   }
 
   validateTag(tag) {
-    const allowed = ['Urgent', 'Reply Required', 'FYI', 'No Reply Needed'];
-    return allowed.includes(tag) ? tag : 'FYI';
+    return TAGS.includes(tag) ? tag : 'FYI';
   }
 }
 
@@ -1,79 +1,125 @@
 import { gmailAPI } from './gmail.js';
 import { aiProcessor } from './ai.js';
+import { ERROR_TYPES } from './http.js';
+import { accountManager, accountSettings, ACCOUNTS_KEY, ACCOUNT_SETTING_KEYS } from './accounts.js';
+import { quotaMeter } from './quota.js';
+import {
+  loadSettings,
+  saveSettings,
+  validatePartialSettings,
+  SettingsError,
+  SETTINGS_KEY,
+  SECRETS_KEY,
+  DEFAULT_SETTINGS
+} from './settings.js';
+import { PROTOCOL_VERSION, MESSAGES, STATUS_PORT } from './messages.js';
+import { emailHistory, HISTORY_KEY } from './history.js';
+import { feedbackStore, FEEDBACK_KEY } from './feedback.js';
+import { bayesClassifier, MODEL_KEY } from './bayes.js';
+import { vault, VaultLockedError } from './vault.js';
+import {
+  DIGEST_ALARM,
+  getDelivery,
+  scheduleDigest,
+  digestQueue,
+  buildDigestItems
+} from './digest.js';
+import {
+  QUIET_END_ALARM,
+  resolvePolicy,
+  decide,
+  notificationOptions,
+  holdNotification,
+  takeHeldNotifications
+} from './policy.js';
+import { resolveSenderLists, classifySender, addToSenderList } from './senders.js';
+import { resolveWatchProfiles, findWatchProfile, assignWatchProfiles } from './watch.js';
+import { groupByThread, buildThreadUpdate } from './threads.js';
+import { highlightLines } from './extract.js';
 
 /* =========================
    Storage Keys
 ========================= */
 const STORAGE_KEYS = {
-  PROCESSED_MESSAGES: 'processed_messages',
-  SETTINGS: 'settings',
-  LAST_CHECK: 'last_check'
+  SETTINGS: SETTINGS_KEY,
+  LAST_CHECK: 'last_check', // last check in which every account succeeded
+  LAST_ERROR: 'last_error', // most recent failed check, cleared by a healthy one
+  RUNNING: 'is_running',
+  SNOOZED: 'snoozed'
 };
 
+// Sealed while the vault is enabled: API keys and everything derived from mail
+const SEALED_KEYS = [SECRETS_KEY, HISTORY_KEY, FEEDBACK_KEY, MODEL_KEY];
+
+// Session flag: the "vault is locked" notification was already shown
+const VAULT_NOTICE_KEY = 'vault_notice_shown';
+const VAULT_NOTICE = 'vault-locked';
+
+const POLL_ALARM = 'gmail-poll';
+
+// Polling counts as stalled after this many missed intervals
+const STALE_INTERVALS = 3;
+
+/* =========================
+   Notification Actions
+   Chrome shows at most two buttons per notification;
+   which two is a setting. Clicking the body opens the thread.
+========================= */
+const NOTIFICATION_ACTIONS = {
+  markRead: 'Mark as read',
+  archive: 'Archive',
+  snooze: 'Snooze 1h',
+  retag: 'Wrong tag?',
+  mute: 'Mute sender',
+  copyCode: 'Copy code'
+};
+
+const DEFAULT_NOTIFICATION_BUTTONS = ['markRead', 'archive'];
+const SNOOZE_MINUTES = 60;
+
 /* =========================
    Gmail Notifier
 ========================= */
 class GmailNotifier {
   constructor() {
     this.isRunning = false;
-    this.authToken = null;
-    this.processedMessages = new Set();
-
-    // ✅ hard defaults
-    this.settings = {
-      pollingInterval: 60 // seconds (Chrome-safe)
-    };
+    this.checking = null; // in-flight check, shared by alarm and "Check now"
+    this.settings = DEFAULT_SETTINGS;
   }
 
   /* ---------- Init ---------- */
+  // Runs on every worker start, not just browser startup: Chrome
+  // suspends the worker when idle and nothing in memory survives that
   async initialize() {
     await this.loadStoredData();
-    console.log('Smart Gmail Notifier initialized with settings:', this.settings);
-  }
 
-  async loadStoredData() {
-    const data = await chrome.storage.local.get([
-      STORAGE_KEYS.PROCESSED_MESSAGES,
-      STORAGE_KEYS.SETTINGS
-    ]);
-
-    this.processedMessages = new Set(
-      data[STORAGE_KEYS.PROCESSED_MESSAGES] || []
-    );
+    const data = await chrome.storage.local.get([STORAGE_KEYS.RUNNING]);
+    this.isRunning = Boolean(data[STORAGE_KEYS.RUNNING]);
 
-    const storedSettings = data[STORAGE_KEYS.SETTINGS] || {};
-
-    // ✅ SANITIZE pollingInterval
-    let interval = Number(storedSettings.pollingInterval);
-
-    if (!Number.isFinite(interval) || interval < 60) {
-      interval = 60; // Chrome minimum safe value
+    if (this.isRunning) {
+      await this.ensurePollAlarm();
     }
+    // Never log the settings object: it carries the API keys
+    console.log('Smart Gmail Notifier initialized:', {
+      isRunning: this.isRunning,
+      pollingInterval: this.settings.pollingInterval,
+      aiProvider: this.settings.aiProvider
+    });
+  }
 
-    this.settings = {
-      pollingInterval: interval
-    };
+  // Migrated and validated by the settings schema
+  async loadStoredData() {
+    this.settings = await loadSettings();
+    await scheduleDigest(this.settings.digest);
   }
 
   /* ---------- Auth ---------- */
-  async authenticate(forceRefresh = false) {
-    if (forceRefresh && this.authToken) {
-      await chrome.identity.removeCachedAuthToken({ token: this.authToken });
-      this.authToken = null;
-    }
-
-    const token = await new Promise((resolve, reject) => {
-      chrome.identity.getAuthToken({ interactive: true }, token => {
-        if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve(token);
-        }
-      });
-    });
-
-    this.authToken = token;
-    return token;
+  // First start signs in the first account; more are added from the options page
+  async ensureAccount() {
+    const accounts = await accountManager.list();
+    if (!accounts.length) {
+      await accountManager.add();
+    }
   }
 
   /* ---------- Polling ---------- */
@@ -81,76 +127,650 @@ class GmailNotifier {
     if (this.isRunning) return;
 
     this.isRunning = true;
-
-    const minutes = this.settings.pollingInterval / 60;
-
-    chrome.alarms.create('gmail-poll', {
-      periodInMinutes: minutes
-    });
+    await chrome.storage.local.set({ [STORAGE_KEYS.RUNNING]: true });
+    await this.ensurePollAlarm();
 
     // fire once immediately (non-blocking)
     this.checkForNewEmails();
 
-    console.log('Email polling started every', minutes, 'minutes');
+    console.log('Email polling started every', this.settings.pollingInterval / 60, 'minutes');
   }
 
   async stopPolling() {
     this.isRunning = false;
-    await chrome.alarms.clear('gmail-poll');
+    await chrome.storage.local.set({ [STORAGE_KEYS.RUNNING]: false });
+    await chrome.alarms.clear(POLL_ALARM);
     console.log('Email polling stopped');
   }
 
+  // Recreates the alarm if it went missing or the interval changed
+  async ensurePollAlarm() {
+    const minutes = this.settings.pollingInterval / 60;
+    const alarm = await chrome.alarms.get(POLL_ALARM);
+
+    if (!alarm || alarm.periodInMinutes !== minutes) {
+      chrome.alarms.create(POLL_ALARM, { periodInMinutes: minutes });
+    }
+  }
+
+  // Settings edited in the popup or options page apply without a restart
+  async applySettings() {
+    await this.loadStoredData();
+    aiProcessor.invalidateSettings();
+
+    if (this.isRunning) {
+      await this.ensurePollAlarm();
+    }
+  }
+
+  // Rejects with a SettingsError listing every invalid field
+  async updateSettings(patch) {
+    const settings = await saveSettings(patch);
+    // storage.onChanged applies them too, but the reply should only come once they're live
+    await this.applySettings();
+    return settings;
+  }
+
+  /* ---------- Status ---------- */
+  async getStatus() {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.LAST_CHECK, STORAGE_KEYS.LAST_ERROR]);
+    const lastCheck = data[STORAGE_KEYS.LAST_CHECK] || null;
+    const staleAfterMs = this.settings.pollingInterval * 1000 * STALE_INTERVALS;
+
+    const accounts = await accountManager.list();
+    let processedCount = 0;
+    for (const account of accounts) {
+      const state = accountManager.state(account.id);
+      await state.ensureLoaded();
+      processedCount += state.processed.size;
+    }
+
+    const alarm = this.isRunning ? await chrome.alarms.get(POLL_ALARM) : null;
+
+    return {
+      isRunning: this.isRunning,
+      isChecking: Boolean(this.checking),
+      processedCount,
+      accounts,
+      lastCheck,
+      stale: this.isRunning && (!lastCheck || Date.now() - new Date(lastCheck).getTime() > staleAfterMs),
+      lastError: data[STORAGE_KEYS.LAST_ERROR] || null,
+      nextCheck: alarm?.scheduledTime ?? null,
+      quota: await quotaMeter.get(),
+      vault: await vault.status()
+    };
+  }
+
+  async recordError(error, account = null) {
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.LAST_ERROR]: {
+        message: error.message,
+        account: account?.email || null,
+        at: new Date().toISOString()
+      }
+    });
+  }
+
   /* ---------- Gmail ---------- */
-  async checkForNewEmails() {
-    if (!this.isRunning) return;
+  // force: check even while polling is stopped ("Check now")
+  checkForNewEmails({ force = false } = {}) {
+    if (!this.isRunning && !force) return Promise.resolve();
+
+    if (!this.checking) {
+      this.checking = this.runCheck().finally(() => {
+        this.checking = null;
+        broadcastStatus();
+      });
+      broadcastStatus();
+    }
+    return this.checking;
+  }
+
+  async runCheck() {
+    // Nothing can be classified or remembered without the key
+    const { enabled, unlocked } = await vault.status();
+    if (enabled && !unlocked) {
+      await this.recordError(new VaultLockedError('The vault is locked; unlock it to resume checks'));
+      await this.showVaultNotice();
+      return;
+    }
 
     try {
-      if (!this.authToken) {
-        await this.authenticate();
-      }
+      await emailHistory.ensureLoaded();
+      await feedbackStore.ensureLoaded();
 
-      const unreadEmails = await gmailAPI.getUnreadEmails(this.authToken);
+      const accounts = (await accountManager.list()).filter(account => account.enabled);
 
-      for (const email of unreadEmails) {
-        if (!this.processedMessages.has(email.id)) {
-          await this.processEmail(email);
-          await this.markAsProcessed(email.id);
-        }
+      // One account failing (e.g. signed out) must not block the others
+      let healthy = true;
+      for (const account of accounts) {
+        healthy = (await this.checkAccount(account)) && healthy;
       }
 
-      await chrome.storage.local.set({
-        [STORAGE_KEYS.LAST_CHECK]: new Date().toISOString()
-      });
+      if (healthy) {
+        await chrome.storage.local.set({
+          [STORAGE_KEYS.LAST_CHECK]: new Date().toISOString()
+        });
+        await chrome.storage.local.remove(STORAGE_KEYS.LAST_ERROR);
+      }
     } catch (error) {
       console.error('Email check failed:', error);
+      await this.recordError(error);
+    } finally {
+      await emailHistory.flush();
+      await feedbackStore.flush();
+      await quotaMeter.flush();
+    }
+  }
+
+  async checkAccount(account) {
+    const state = accountManager.state(account.id);
+
+    // The cursor has already moved past these; whatever isn't processed must be retried
+    let unseen = [];
+    // Each message counts one retry attempt per check, however it failed
+    const queued = new Set();
+    const requeue = id => {
+      if (queued.has(id)) return;
+      queued.add(id);
+      state.retry.add(id);
+    };
+
+    try {
+      const authToken = await accountManager.getToken(account.id);
+      await state.ensureLoaded();
+
+      const synced = await state.sync.getNewEmails(authToken);
+      const retried = await this.fetchQueuedEmails(authToken, state.retry);
+
+      synced.failedIds.forEach(requeue);
 
-      if (error.message?.includes('401')) {
-        await this.authenticate(true);
+      // processed store still guards against repeats after a full resync
+      unseen = [...synced.messages, ...retried].filter(
+        email => !state.processed.has(email.id, email.internalDate)
+      );
+
+      const settings = await this.getAccountSettings(account);
+
+      // Only mail matching a watch profile's search is notified
+      const pending = await assignWatchProfiles(
+        gmailAPI,
+        authToken,
+        unseen,
+        resolveWatchProfiles(settings)
+      );
+      const pendingIds = new Set(pending.map(email => email.id));
+      const retriedIds = new Set(retried.map(email => email.id));
+      // Gmail's search index can lag behind new mail: unmatched mail gets one more check
+      unseen
+        .filter(email => !pendingIds.has(email.id))
+        .forEach(email => {
+          if (retriedIds.has(email.id)) {
+            state.processed.add(email.id, email.internalDate);
+          } else {
+            requeue(email.id);
+          }
+        });
+
+      const senderLists = resolveSenderLists(settings);
+
+      // Muted senders are skipped before any body is fetched
+      const wanted = pending.filter(email => {
+        if (classifySender(senderLists, email.from?.email) !== 'muted') return true;
+        state.processed.add(email.id, email.internalDate);
+        return false;
+      });
+
+      // One notification per thread, however many replies arrived since the last check
+      for (const [threadId, emails] of groupByThread(wanted)) {
+        let thread;
+        try {
+          thread = await gmailAPI.getThread(authToken, threadId);
+        } catch (error) {
+          if (!error.retryable) throw error;
+          emails.forEach(email => requeue(email.id));
+          continue;
+        }
+
+        const update = thread && buildThreadUpdate(thread, emails);
+        if (update) {
+          await this.processEmail(update, account, senderLists);
+        }
+        emails.forEach(email => state.processed.add(email.id, email.internalDate));
       }
+      return true;
+    } catch (error) {
+      // Silent token refresh already failed; the account is flagged for reconnecting
+      if (error.type === ERROR_TYPES.AUTH) {
+        console.warn(`Account ${account.email} needs to sign in again`);
+      } else {
+        console.error(`Email check failed for ${account.email}:`, error);
+      }
+      unseen
+        .filter(email => !state.processed.has(email.id, email.internalDate))
+        .forEach(email => requeue(email.id));
+
+      await this.recordError(error, account);
+      return false;
+    } finally {
+      // one write per check, including partial progress on failure
+      await state.flush();
     }
   }
 
-  async markAsProcessed(messageId) {
-    this.processedMessages.add(messageId);
-    await chrome.storage.local.set({
-      [STORAGE_KEYS.PROCESSED_MESSAGES]: Array.from(this.processedMessages)
-    });
+  async fetchQueuedEmails(authToken, retryQueue) {
+    const ids = retryQueue.ids;
+    if (!ids.length) return [];
+
+    const { messages, failedIds } = await gmailAPI.getMessagesDetails(
+      authToken,
+      ids,
+      'metadata'
+    );
+
+    ids.filter(id => !failedIds.includes(id)).forEach(id => retryQueue.remove(id));
+    failedIds.forEach(id => retryQueue.add(id));
+    return messages;
+  }
+
+  // Shared settings with the account's own overrides applied
+  async getAccountSettings(account) {
+    return accountSettings(await loadSettings(), account);
   }
 
   /* ---------- AI + Notify ---------- */
-  async processEmail(email) {
+  async processEmail(email, account, senderLists) {
     const result = await aiProcessor.processEmail(
       email.subject || '',
-      email.body || email.snippet || ''
+      email.body || email.snippet || '',
+      email.from?.email || '',
+      email.attachments || [],
+      email.context || [],
+      email.from?.name || ''
     );
 
-    chrome.notifications.create(`gmail-${email.id}`, {
+    // VIP mail is always reviewed as Urgent
+    const vip = classifySender(senderLists, email.from?.email) === 'vip';
+    if (vip) {
+      result.tag = 'Urgent';
+    }
+
+    if (result.ruleId) {
+      console.log(`Rule "${result.ruleId}" fired for message ${email.id}`);
+    }
+
+    emailHistory.add({
+      id: email.id,
+      threadId: email.threadId,
+      subject: email.subject,
+      snippet: email.snippet,
+      from: email.from,
+      date: email.date,
+      receivedAt: email.internalDate
+        ? new Date(Number(email.internalDate)).toISOString()
+        : new Date().toISOString(),
+      summary: result.summary,
+      attachments: email.attachments || [],
+      extracted: result.extracted,
+      tag: result.tag,
+      source: result.source,
+      aiRequest: result.aiRequest || null,
+      ruleId: result.ruleId,
+      profileId: email.profileId || null,
+      messageIds: email.messageIds || [email.id],
+      participants: email.participants || [],
+      accountId: account.id,
+      account: account.email,
+      vip,
+      processedAt: new Date().toISOString()
+    });
+    feedbackStore.recordProcessed();
+
+    // VIP mail skips the digest and always notifies now
+    const delivery = vip
+      ? { notifyNow: true, addToDigest: false }
+      : getDelivery(await this.getDigestSettings(), result.tag);
+
+    if (delivery.addToDigest) {
+      await digestQueue.add(email.id);
+    }
+    if (delivery.notifyNow) {
+      await this.deliverNotification(emailHistory.get(email.id));
+    }
+  }
+
+  /* ---------- Notification Policy ---------- */
+  async getPolicy(profileId = null, accountId = null) {
+    const settings = await this.getAccountSettings(await accountManager.get(accountId));
+    const profile = findWatchProfile(resolveWatchProfiles(settings), profileId);
+    return resolvePolicy(settings, profile);
+  }
+
+  async deliverNotification(entry) {
+    if (entry.vip) {
+      await this.showNotification(entry, notificationOptions('interrupt'));
+      return;
+    }
+
+    const policy = await this.getPolicy(entry.profileId, entry.accountId);
+    const decision = decide(policy, entry.tag);
+
+    if (decision.action === 'suppress') {
+      return;
+    }
+
+    if (decision.action === 'hold') {
+      await holdNotification(entry.id, policy.quietHours);
+      return;
+    }
+
+    await this.showNotification(entry, decision.options);
+  }
+
+  // Quiet hours ended: show everything held, without holding again
+  async releaseHeldNotifications() {
+    const ids = await takeHeldNotifications();
+
+    await emailHistory.ensureLoaded();
+    for (const id of ids) {
+      const entry = emailHistory.get(id);
+      if (!entry) continue;
+
+      const policy = await this.getPolicy(entry.profileId, entry.accountId);
+      const mode = policy.tagPolicy[entry.tag] || 'normal';
+      if (mode !== 'suppress') {
+        await this.showNotification(entry, notificationOptions(mode));
+      }
+    }
+  }
+
+  async getDigestSettings() {
+    return (await loadSettings()).digest;
+  }
+
+  /* ---------- Digest ---------- */
+  async sendDigest() {
+    const digest = await this.getDigestSettings();
+    const ids = await digestQueue.getIds();
+
+    await emailHistory.ensureLoaded();
+    const entries = ids.map(id => emailHistory.get(id)).filter(Boolean);
+
+    if (entries.length) {
+      const overview = await aiProcessor.generateOverview(entries);
+      const period = digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+
+      chrome.notifications.create(`digest-${Date.now()}`, {
+        type: 'list',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: `${period} digest: ${entries.length} email${entries.length === 1 ? '' : 's'}`,
+        message: overview,
+        items: buildDigestItems(entries)
+      });
+    }
+
+    await digestQueue.clear();
+    await scheduleDigest(digest, { force: true });
+  }
+
+  async getNotificationButtons() {
+    const { notificationButtons } = await loadSettings();
+    return notificationButtons.filter(action => NOTIFICATION_ACTIONS[action]);
+  }
+
+  notificationTitle(entry) {
+    const count = entry.messageIds?.length || 1;
+    if (count > 1) {
+      return `${count} new messages from ${entry.participants.join(', ')}`;
+    }
+    return `New Email from ${entry.from?.name || entry.from?.email || 'Unknown'}`;
+  }
+
+  async showNotification(entry, options = {}) {
+    const notificationId = `gmail-${entry.id}`;
+    let buttons = await this.getNotificationButtons();
+
+    // A verification code is what the user came for; offer it first
+    if (entry.extracted?.codes?.length) {
+      buttons = ['copyCode', ...buttons.filter(action => action !== 'copyCode')].slice(0, 2);
+    }
+
+    // The worker may restart before a click, so remember which buttons were shown
+    await chrome.storage.session.set({ [`actions_${notificationId}`]: buttons });
+
+    chrome.notifications.create(notificationId, {
       type: 'basic',
       iconUrl: chrome.runtime.getURL('icons/icon128.png'),
-      title: `New Email from ${email.from?.name || email.from?.email || 'Unknown'}`,
-      message: `${result.summary}\n${result.tag}`
+      title: [this.notificationTitle(entry), entry.account].filter(Boolean).join(' · '),
+      message: `${entry.summary}\n${entry.tag}`,
+      contextMessage: highlightLines(entry.extracted).join(' · ') || undefined,
+      buttons: buttons.map(action => ({ title: NOTIFICATION_ACTIONS[action] })),
+      ...options
     });
   }
+
+  // settings replaces the account's overrides; keys it leaves out follow the shared settings
+  async updateAccount(accountId, { enabled, settings }) {
+    const patch = {};
+    if (enabled !== undefined) {
+      patch.enabled = Boolean(enabled);
+    }
+    if (settings !== undefined) {
+      const { settings: checked, errors } = validatePartialSettings(settings);
+      Object.keys(checked)
+        .filter(key => !ACCOUNT_SETTING_KEYS.includes(key))
+        .forEach(key => errors.push(`${key}: not an account setting`));
+      if (errors.length) {
+        throw new SettingsError(errors);
+      }
+      patch.settings = checked;
+    }
+
+    const account = await accountManager.update(accountId, patch);
+    broadcastStatus();
+    return account;
+  }
+
+  // Without accountId every account is signed out and polling stops
+  async signOut(accountId = null) {
+    const accounts = await accountManager.list();
+    const targets = accountId ? accounts.filter(account => account.id === accountId) : accounts;
+    if (accountId && !targets.length) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+
+    for (const account of targets) {
+      await accountManager.remove(account.id);
+    }
+
+    if (!(await accountManager.list()).length) {
+      await this.stopPolling();
+    }
+  }
+
+  /* ---------- Vault ---------- */
+  // Once per browser session; locking by hand doesn't need telling
+  async showVaultNotice() {
+    const data = await chrome.storage.session.get([VAULT_NOTICE_KEY]);
+    if (data[VAULT_NOTICE_KEY]) return;
+
+    await chrome.storage.session.set({ [VAULT_NOTICE_KEY]: true });
+    chrome.notifications.create(VAULT_NOTICE, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'Smart Gmail Notifier is locked',
+      message: 'Enter your passphrase in the popup to resume email checks.',
+      priority: 1
+    });
+  }
+
+  // In-memory copies are dropped so nothing decrypted outlives the key
+  unloadSealedData() {
+    emailHistory.unload();
+    feedbackStore.unload();
+    bayesClassifier.unload();
+    aiProcessor.invalidateSettings();
+  }
+
+  async unlockVault(passphrase) {
+    await vault.unlock(passphrase);
+    chrome.notifications.clear(VAULT_NOTICE);
+    aiProcessor.invalidateSettings();
+    this.checkForNewEmails();
+  }
+
+  async lockVault() {
+    await this.checking;
+    await chrome.storage.session.set({ [VAULT_NOTICE_KEY]: true });
+    await vault.lock();
+    this.unloadSealedData();
+  }
+
+  // API keys move out of settings into the sealed secrets on the first save
+  async enableVault(passphrase) {
+    await this.checking;
+    await vault.enable(passphrase, SEALED_KEYS);
+    await saveSettings({});
+  }
+
+  async disableVault(passphrase) {
+    await this.checking;
+    await vault.disable(passphrase, SEALED_KEYS);
+    // Saving now writes the keys back into plain settings
+    await saveSettings({});
+    await chrome.storage.local.remove(SECRETS_KEY);
+    this.unloadSealedData();
+  }
+
+  // Tokens, history, corrections, keys and settings; the caller restarts the extension
+  async forgetEverything() {
+    await this.stopPolling();
+    await this.checking;
+
+    await accountManager.forgetTokens();
+    await chrome.alarms.clearAll();
+    const notifications = await chrome.notifications.getAll();
+    Object.keys(notifications).forEach(id => chrome.notifications.clear(id));
+
+    await chrome.storage.local.clear();
+    await chrome.storage.session.clear();
+    this.unloadSealedData();
+  }
+
+  /* ---------- Email Actions ---------- */
+  // Entries from before multi-account support fall back to the first account
+  async getToken(accountId = null) {
+    const accounts = await accountManager.list();
+    const account = accounts.find(a => a.id === accountId) || accounts[0];
+    if (!account) {
+      throw new Error('No Gmail account signed in');
+    }
+    return accountManager.getToken(account.id, { interactive: true });
+  }
+
+  async runEmailAction(type, messageId) {
+    await emailHistory.ensureLoaded();
+    const entry = emailHistory.get(messageId);
+    // A collapsed thread notification acts on every message it covered
+    const messageIds = entry?.messageIds || [messageId];
+
+    switch (type) {
+      case 'open':
+        await chrome.tabs.create({
+          url: gmailAPI.getThreadUrl(entry?.threadId || messageId, entry?.account)
+        });
+        break;
+      case 'markRead':
+        for (const id of messageIds) {
+          await gmailAPI.markAsRead(await this.getToken(entry?.accountId), id);
+        }
+        break;
+      case 'archive':
+        for (const id of messageIds) {
+          await gmailAPI.archive(await this.getToken(entry?.accountId), id);
+        }
+        break;
+      case 'snooze':
+        await this.snooze(messageId, messageIds, entry?.accountId);
+        break;
+      case 'retag':
+        openCorrectionWindow(messageId);
+        break;
+      case 'mute':
+        if (!entry?.from?.email) throw new Error('Sender unknown');
+        await this.updateSettings({
+          senderLists: addToSenderList(await loadSettings(), 'muted', entry.from.email)
+        });
+        break;
+      case 'copyCode':
+        if (!entry?.extracted?.codes?.length) throw new Error('No code in this email');
+        await copyToClipboard(entry.extracted.codes[0].code);
+        break;
+      default:
+        throw new Error(`Unknown email action "${type}"`);
+    }
+
+    if (entry && ['markRead', 'archive', 'snooze'].includes(type)) {
+      emailHistory.update(messageId, { lastAction: type });
+      await emailHistory.flush();
+    }
+  }
+
+  // Gmail's snooze isn't in the API: archive now, restore on an alarm
+  async snooze(messageId, messageIds = [messageId], accountId = null) {
+    const wakeAt = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+
+    for (const id of messageIds) {
+      await gmailAPI.archive(await this.getToken(accountId), id);
+    }
+
+    const data = await chrome.storage.local.get([STORAGE_KEYS.SNOOZED]);
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.SNOOZED]: {
+        ...data[STORAGE_KEYS.SNOOZED],
+        [messageId]: { wakeAt, accountId, messageIds }
+      }
+    });
+    chrome.alarms.create(`snooze-${messageId}`, { when: wakeAt });
+  }
+
+  async wakeSnoozed(messageId) {
+    const data = await chrome.storage.local.get([STORAGE_KEYS.SNOOZED]);
+    const snoozed = data[STORAGE_KEYS.SNOOZED] || {};
+    if (!snoozed[messageId]) return;
+
+    const { accountId, messageIds = [messageId] } = snoozed[messageId];
+    for (const id of messageIds) {
+      await gmailAPI.restoreToInbox(await this.getToken(accountId), id);
+    }
+
+    delete snoozed[messageId];
+    await chrome.storage.local.set({ [STORAGE_KEYS.SNOOZED]: snoozed });
+
+    await emailHistory.ensureLoaded();
+    const entry = emailHistory.get(messageId);
+    if (entry) {
+      await this.showNotification(entry);
+    }
+  }
+
+  /* ---------- Feedback ---------- */
+  async correctTag(messageId, tag, scope) {
+    await emailHistory.ensureLoaded();
+    const entry = emailHistory.get(messageId);
+    if (!entry) {
+      throw new Error(`No history entry for message ${messageId}`);
+    }
+
+    await feedbackStore.correctTag(entry, tag, scope);
+    emailHistory.update(messageId, {
+      originalTag: entry.originalTag || entry.tag,
+      tag,
+      corrected: true
+    });
+    await emailHistory.flush();
+    return emailHistory.get(messageId);
+  }
 }
 
 /* =========================
@@ -158,63 +778,346 @@ class GmailNotifier {
 ========================= */
 const notifier = new GmailNotifier();
 
+// Every listener waits for this before trusting notifier state
+const ready = notifier.initialize().catch(err => console.error('Initialization failed:', err));
+
+// Gmail calls that hit 401 refresh that account's token and replay the request
+gmailAPI.setAuthRefresher(staleToken => accountManager.refreshToken(staleToken));
+
 /* =========================
    Alarm Listener
 ========================= */
-chrome.alarms.onAlarm.addListener(alarm => {
-  if (alarm.name === 'gmail-poll' && notifier.isRunning) {
+chrome.alarms.onAlarm.addListener(async alarm => {
+  await ready;
+
+  if (alarm.name === POLL_ALARM && notifier.isRunning) {
     notifier.checkForNewEmails();
   }
+
+  if (alarm.name === QUIET_END_ALARM) {
+    notifier.releaseHeldNotifications()
+      .catch(err => console.error('Releasing held notifications failed:', err));
+  }
+
+  if (alarm.name === DIGEST_ALARM) {
+    notifier.sendDigest().catch(err => console.error('Digest failed:', err));
+  }
+
+  if (alarm.name.startsWith('snooze-')) {
+    notifier.wakeSnoozed(alarm.name.slice('snooze-'.length))
+      .catch(err => console.error('Snooze wake-up failed:', err));
+  }
+});
+
+/* =========================
+   Clipboard
+   Service workers can't reach the clipboard, so copying goes
+   through a short-lived offscreen document.
+========================= */
+async function copyToClipboard(text) {
+  const url = chrome.runtime.getURL('offscreen.html');
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url]
+  });
+
+  if (!contexts.length) {
+    await chrome.offscreen.createDocument({
+      url,
+      reasons: ['CLIPBOARD'],
+      justification: 'Copy verification codes from notifications'
+    });
+  }
+
+  try {
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copy', text });
+  } finally {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+/* =========================
+   Notification Listeners
+========================= */
+// Popup history view with the re-tag controls for this email
+function openCorrectionWindow(messageId) {
+  chrome.windows.create({
+    url: chrome.runtime.getURL(`popup.html?correct=${encodeURIComponent(messageId)}`),
+    type: 'popup',
+    width: 400,
+    height: 640
+  });
+}
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  if (notificationId.startsWith('digest-') || notificationId === VAULT_NOTICE) {
+    chrome.windows.create({
+      url: chrome.runtime.getURL('popup.html'),
+      type: 'popup',
+      width: 400,
+      height: 640
+    });
+    chrome.notifications.clear(notificationId);
+    return;
+  }
+
+  if (!notificationId.startsWith('gmail-')) return;
+
+  const messageId = notificationId.slice('gmail-'.length);
+  ready
+    .then(() => notifier.runEmailAction('open', messageId))
+    .catch(err => console.error('Open in Gmail failed:', err));
+  chrome.notifications.clear(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith('gmail-')) return;
+  // A click can wake the worker; act only once settings and accounts are loaded
+  await ready;
+
+  const key = `actions_${notificationId}`;
+  const data = await chrome.storage.session.get([key]);
+  const action = (data[key] || DEFAULT_NOTIFICATION_BUTTONS)[buttonIndex];
+  const messageId = notificationId.slice('gmail-'.length);
+
+  chrome.notifications.clear(notificationId);
+
+  try {
+    await notifier.runEmailAction(action, messageId);
+  } catch (err) {
+    console.error(`Notification action "${action}" failed:`, err);
+  }
+});
+
+chrome.notifications.onClosed.addListener(notificationId => {
+  chrome.storage.session.remove(`actions_${notificationId}`);
 });
 
 /* =========================
    Lifecycle
 ========================= */
-chrome.runtime.onInstalled.addListener(() => {
-  notifier.initialize();
+// Initialization itself runs at worker start; these just make sure Chrome wakes the worker
+chrome.runtime.onInstalled.addListener(() => ready);
+
+chrome.runtime.onStartup.addListener(async () => {
+  await ready;
+  // Catch up on mail that arrived while the browser was closed
+  if (notifier.isRunning) notifier.checkForNewEmails();
 });
 
-chrome.runtime.onStartup.addListener(() => {
-  notifier.initialize();
+// Anything the status view shows
+const STATUS_KEYS = [
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.RUNNING,
+  STORAGE_KEYS.LAST_CHECK,
+  STORAGE_KEYS.LAST_ERROR,
+  ACCOUNTS_KEY
+];
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes[STORAGE_KEYS.SETTINGS]) {
+    ready
+      .then(() => notifier.applySettings())
+      .catch(err => console.error('Applying settings failed:', err));
+  }
+
+  if (STATUS_KEYS.some(key => changes[key])) {
+    broadcastStatus();
+  }
 });
 
 /* =========================
-   Message Bridge
+   Status Port
+   Open popups keep a port connected and get the full status
+   whenever it changes, instead of polling for it.
 ========================= */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+const statusPorts = new Set();
 
-  if (request.action === 'togglePolling') {
-    (async () => {
-      try {
-        if (notifier.isRunning) {
-          await notifier.stopPolling();
-        } else {
-          await notifier.authenticate();
-          await notifier.startPolling();
-        }
+async function broadcastStatus() {
+  if (!statusPorts.size) return;
 
-        sendResponse({ isRunning: notifier.isRunning });
-      } catch (err) {
-        console.error('Toggle failed:', err);
-        sendResponse({ isRunning: false, error: err.message });
-      }
-    })();
+  try {
+    await ready;
+    const status = await notifier.getStatus();
+    statusPorts.forEach(port => port.postMessage({ version: PROTOCOL_VERSION, type: 'status', status }));
+  } catch (err) {
+    console.error('Broadcasting status failed:', err);
+  }
+}
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== STATUS_PORT) return;
+
+  statusPorts.add(port);
+  port.onDisconnect.addListener(() => statusPorts.delete(port));
 
-    return true; // REQUIRED
+  ready
+    .then(() => notifier.getStatus())
+    .then(status => port.postMessage({ version: PROTOCOL_VERSION, type: 'status', status }))
+    .catch(err => console.error('Sending status failed:', err));
+});
+
+/* =========================
+   Message Dispatcher
+   One handler per MESSAGES action. Handlers return the reply
+   data or throw; the dispatcher wraps both in the envelope.
+========================= */
+const handlers = {
+  async [MESSAGES.GET_STATUS]() {
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.TOGGLE_POLLING]() {
+    if (notifier.isRunning) {
+      await notifier.stopPolling();
+    } else {
+      await notifier.ensureAccount();
+      await notifier.startPolling();
+    }
+    return { status: await notifier.getStatus() };
+  },
+
+  // Resolves once the check has finished, with the status it left behind
+  async [MESSAGES.CHECK_NOW]() {
+    await notifier.ensureAccount();
+    await notifier.checkForNewEmails({ force: true });
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.UPDATE_SETTINGS]({ settings }) {
+    return { settings: await notifier.updateSettings(settings || {}) };
+  },
+
+  // settings: unsaved provider fields from the form, tested before saving
+  async [MESSAGES.TEST_AI_CONNECTION]({ settings }) {
+    return aiProcessor.testConnection(settings || {});
+  },
+
+  async [MESSAGES.SIGN_OUT]({ accountId }) {
+    await notifier.signOut(accountId || null);
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.GET_ACCOUNTS]() {
+    return { accounts: await accountManager.list() };
+  },
+
+  async [MESSAGES.ADD_ACCOUNT]() {
+    return { account: await accountManager.add() };
+  },
+
+  async [MESSAGES.RECONNECT_ACCOUNT]({ accountId }) {
+    await accountManager.getToken(accountId, { interactive: true });
+    return {};
+  },
+
+  async [MESSAGES.REMOVE_ACCOUNT]({ accountId }) {
+    await notifier.signOut(accountId);
+    return {};
+  },
+
+  async [MESSAGES.UPDATE_ACCOUNT]({ accountId, enabled, settings }) {
+    return { account: await notifier.updateAccount(accountId, { enabled, settings }) };
+  },
+
+  async [MESSAGES.GET_HISTORY]({ filters, limit, days }) {
+    await emailHistory.ensureLoaded();
+    await feedbackStore.ensureLoaded();
+    const entries = emailHistory.filter(filters);
+    return {
+      entries: entries.slice(0, limit || 50),
+      total: entries.length,
+      stats: feedbackStore.getAccuracyStats(days || 7)
+    };
+  },
+
+  async [MESSAGES.CORRECT_TAG]({ messageId, tag, scope }) {
+    return { entry: await notifier.correctTag(messageId, tag, scope) };
+  },
+
+  async [MESSAGES.EMAIL_ACTION]({ type, messageId }) {
+    await notifier.runEmailAction(type, messageId);
+    return {};
+  },
+
+  async [MESSAGES.GET_LABELS]({ accountId }) {
+    const token = await notifier.getToken(accountId);
+    return { labels: await gmailAPI.listLabels(token) };
+  },
+
+  async [MESSAGES.VALIDATE_QUERY]({ accountId, query, labelIds }) {
+    const token = await notifier.getToken(accountId);
+    return gmailAPI.validateQuery(token, query, labelIds);
+  },
+
+  async [MESSAGES.CLEAR_PROCESSED]() {
+    for (const account of await accountManager.list()) {
+      const state = accountManager.state(account.id);
+      await state.ensureLoaded();
+      await state.processed.clear();
+    }
+    broadcastStatus();
+    return {};
+  },
+
+  async [MESSAGES.UNLOCK_VAULT]({ passphrase }) {
+    await notifier.unlockVault(passphrase || '');
+    broadcastStatus();
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.LOCK_VAULT]() {
+    await notifier.lockVault();
+    broadcastStatus();
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.ENABLE_VAULT]({ passphrase }) {
+    await notifier.enableVault(passphrase || '');
+    broadcastStatus();
+    return { status: await notifier.getStatus() };
+  },
+
+  async [MESSAGES.DISABLE_VAULT]({ passphrase }) {
+    await notifier.disableVault(passphrase || '');
+    broadcastStatus();
+    return { status: await notifier.getStatus() };
+  },
+
+  // Replies first: the restart closes every extension page
+  async [MESSAGES.FORGET_EVERYTHING]() {
+    await notifier.forgetEverything();
+    setTimeout(() => chrome.runtime.reload(), 500);
+    return {};
   }
+};
 
-  if (request.action === 'getStatus') {
-    sendResponse({
-      isRunning: notifier.isRunning,
-      processedCount: notifier.processedMessages.size
-    });
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target === 'offscreen') return;
+
+  const reply = data => sendResponse({ success: true, version: PROTOCOL_VERSION, ...data });
+  const fail = error => sendResponse({ success: false, version: PROTOCOL_VERSION, error });
+
+  // A popup left open across an extension update may speak an older protocol
+  if (request.version !== PROTOCOL_VERSION) {
+    fail(`Unsupported protocol version ${request.version} (expected ${PROTOCOL_VERSION}); reopen the page`);
+    return;
   }
 
-  if (request.action === 'clearProcessed') {
-    notifier.processedMessages.clear();
-    chrome.storage.local.set({
-      [STORAGE_KEYS.PROCESSED_MESSAGES]: []
-    });
-    sendResponse({ success: true });
+  const handler = handlers[request.action];
+  if (!handler) {
+    fail(`Unknown action "${request.action}"`);
+    return;
   }
+
+  ready
+    .then(() => handler(request))
+    .then(reply)
+    .catch(err => {
+      console.error(`"${request.action}" failed:`, err);
+      fail(err.message);
+    });
+  return true; // reply is async
 });
@@ -0,0 +1,155 @@
+import { tokenize, TAGS } from './fallback.js';
+import { vault } from './vault.js';
+
+/* =========================
+   Naive Bayes Intent Classifier
+   Multinomial naive Bayes over body/subject tokens, seeded with a
+   small built-in corpus and updated from user tag corrections.
+   Everything stays in chrome.storage.local.
+========================= */
+
+export const MODEL_KEY = 'bayes_model';
+// Bump when SEED_CORPUS changes so stored models are rebuilt
+const SEED_VERSION = 1;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'i', 'in', 'is', 'it', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'this',
+  'to', 'was', 'we', 'will', 'with', 'you', 'your'
+]);
+
+const SEED_CORPUS = [
+  ['Urgent: your account will be suspended today unless you verify now', 'Urgent'],
+  ['Action required immediately: payment failed, update your card before midnight', 'Urgent'],
+  ['Security alert: suspicious sign in blocked, secure your account now', 'Urgent'],
+  ['Server is down in production, need you on the call asap', 'Urgent'],
+  ['Final notice: invoice overdue, service will be cut off tomorrow', 'Urgent'],
+  ['Deadline today at 5pm for submitting the signed contract', 'Urgent'],
+
+  ['Can you confirm your availability for an interview next week?', 'Reply Required'],
+  ['Please let me know if Tuesday works for the meeting', 'Reply Required'],
+  ['Could you review the attached draft and send your feedback?', 'Reply Required'],
+  ['Are you interested in joining the project? Please reply by Friday', 'Reply Required'],
+  ['What time suits you for a quick call tomorrow?', 'Reply Required'],
+  ['Please RSVP to the team dinner invitation', 'Reply Required'],
+
+  ['Our monthly newsletter: product updates and community highlights', 'FYI'],
+  ['Announcement: the office will be closed on Monday for the holiday', 'FYI'],
+  ['Heads up, the release notes for version 2.4 are now published', 'FYI'],
+  ['Weekly digest of activity in your workspace', 'FYI'],
+  ['We updated our privacy policy and terms of service', 'FYI'],
+  ['Sharing the slides from yesterday for reference', 'FYI'],
+
+  ['Thanks for your order, your receipt is attached', 'No Reply Needed'],
+  ['Your payment was received successfully, thank you', 'No Reply Needed'],
+  ['Your package has been delivered', 'No Reply Needed'],
+  ['Thank you for attending, it was great to see you', 'No Reply Needed'],
+  ['Your subscription renewal is confirmed, no action needed', 'No Reply Needed'],
+  ['Welcome aboard, your account has been created', 'No Reply Needed']
+];
+
+function emptyModel() {
+  const model = { version: SEED_VERSION, docCounts: {}, tokenCounts: {}, tokenTotals: {} };
+  TAGS.forEach(tag => {
+    model.docCounts[tag] = 0;
+    model.tokenCounts[tag] = {};
+    model.tokenTotals[tag] = 0;
+  });
+  return model;
+}
+
+export function features(text) {
+  return tokenize(text).filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+export class NaiveBayesClassifier {
+  constructor() {
+    this.model = null;
+  }
+
+  async load() {
+    const stored = await vault.read(MODEL_KEY);
+
+    if (stored?.version === SEED_VERSION) {
+      this.model = stored;
+    } else {
+      this.model = emptyModel();
+      SEED_CORPUS.forEach(([text, tag]) => this.addExample(text, tag));
+      await this.save();
+    }
+    return this.model;
+  }
+
+  async save() {
+    await vault.write(MODEL_KEY, this.model);
+  }
+
+  unload() {
+    this.model = null;
+  }
+
+  async reset() {
+    await chrome.storage.local.remove(MODEL_KEY);
+    await this.load();
+  }
+
+  addExample(text, tag) {
+    if (!TAGS.includes(tag)) return;
+
+    const counts = this.model.tokenCounts[tag];
+    this.model.docCounts[tag]++;
+
+    for (const token of features(text)) {
+      counts[token] = (counts[token] || 0) + 1;
+      this.model.tokenTotals[tag]++;
+    }
+  }
+
+  /* ---------------- TRAINING ---------------- */
+
+  // Called when the user corrects a tag
+  async learn(text, tag) {
+    if (!this.model) await this.load();
+    this.addExample(text, tag);
+    await this.save();
+  }
+
+  /* ---------------- CLASSIFICATION ---------------- */
+
+  // Returns { tag, confidence, probabilities } using Laplace smoothing
+  async classify(text) {
+    if (!this.model) await this.load();
+
+    const tokens = features(text);
+    const { docCounts, tokenCounts, tokenTotals } = this.model;
+
+    const vocabulary = new Set();
+    TAGS.forEach(tag => Object.keys(tokenCounts[tag]).forEach(t => vocabulary.add(t)));
+    const vocabSize = vocabulary.size || 1;
+    const totalDocs = TAGS.reduce((sum, tag) => sum + docCounts[tag], 0);
+
+    const logScores = TAGS.map(tag => {
+      let score = Math.log((docCounts[tag] + 1) / (totalDocs + TAGS.length));
+      for (const token of tokens) {
+        score += Math.log(((tokenCounts[tag][token] || 0) + 1) / (tokenTotals[tag] + vocabSize));
+      }
+      return score;
+    });
+
+    // Normalize log scores into probabilities
+    const max = Math.max(...logScores);
+    const exps = logScores.map(score => Math.exp(score - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+
+    const probabilities = {};
+    TAGS.forEach((tag, i) => {
+      probabilities[tag] = Math.round((exps[i] / sum) * 100) / 100;
+    });
+
+    const best = TAGS.reduce((a, b) => (probabilities[b] > probabilities[a] ? b : a));
+
+    return { tag: best, confidence: probabilities[best], probabilities };
+  }
+}
+
+export const bayesClassifier = new NaiveBayesClassifier();
@@ -0,0 +1,135 @@
+import { TAGS } from './fallback.js';
+
+/* =========================
+   Digest
+   Emails routed to the digest are queued and delivered together
+   as one list notification at the configured time.
+========================= */
+
+const DIGEST_QUEUE_KEY = 'digest_queue';
+export const DIGEST_ALARM = 'digest';
+const DIGEST_SCHEDULE_KEY = 'digest_schedule'; // schedule the pending alarm was made for
+
+export const DELIVERY_MODES = ['immediate', 'digest', 'both'];
+
+export const DEFAULT_DIGEST = {
+  enabled: false,
+  frequency: 'daily', // 'daily' | 'weekly'
+  time: '18:00',
+  weekday: 5, // 0 = Sunday, used for weekly digests
+  tagDelivery: {
+    'Urgent': 'immediate',
+    'Reply Required': 'both',
+    'FYI': 'digest',
+    'No Reply Needed': 'digest'
+  }
+};
+
+export function resolveDigestSettings(settings = {}) {
+  const digest = { ...DEFAULT_DIGEST, ...settings.digest };
+  digest.tagDelivery = { ...DEFAULT_DIGEST.tagDelivery, ...settings.digest?.tagDelivery };
+  return digest;
+}
+
+// With the digest off, everything is delivered immediately
+export function getDelivery(digest, tag) {
+  const mode = digest.enabled ? digest.tagDelivery[tag] || 'immediate' : 'immediate';
+  return {
+    notifyNow: mode !== 'digest',
+    addToDigest: mode !== 'immediate'
+  };
+}
+
+/* ---------------- SCHEDULING ---------------- */
+
+export function nextDigestTime(digest, now = new Date()) {
+  const [hours, minutes] = (digest.time || DEFAULT_DIGEST.time).split(':').map(Number);
+
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+
+  if (digest.frequency === 'weekly') {
+    const daysAhead = (digest.weekday - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+    if (next <= now) next.setDate(next.getDate() + 7);
+  } else if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next.getTime();
+}
+
+function scheduleKey(digest) {
+  return [digest.frequency, digest.time, digest.frequency === 'weekly' ? digest.weekday : ''].join('|');
+}
+
+/**
+ * Workers restart often, so a pending alarm is kept unless the schedule
+ * changed; recreating it each time would push a due digest back.
+ * force: the digest was just sent and the next one is due.
+ */
+export async function scheduleDigest(digest, { force = false } = {}) {
+  if (!digest.enabled) {
+    await chrome.alarms.clear(DIGEST_ALARM);
+    await chrome.storage.local.remove(DIGEST_SCHEDULE_KEY);
+    return;
+  }
+
+  const key = scheduleKey(digest);
+  const alarm = await chrome.alarms.get(DIGEST_ALARM);
+  const data = await chrome.storage.local.get([DIGEST_SCHEDULE_KEY]);
+  if (alarm && !force && data[DIGEST_SCHEDULE_KEY] === key) return;
+
+  chrome.alarms.create(DIGEST_ALARM, { when: nextDigestTime(digest) });
+  await chrome.storage.local.set({ [DIGEST_SCHEDULE_KEY]: key });
+}
+
+/* ---------------- QUEUE ---------------- */
+
+export class DigestQueue {
+  async getIds() {
+    const data = await chrome.storage.local.get([DIGEST_QUEUE_KEY]);
+    return data[DIGEST_QUEUE_KEY] || [];
+  }
+
+  async add(messageId) {
+    const ids = await this.getIds();
+    if (!ids.includes(messageId)) {
+      ids.push(messageId);
+      await chrome.storage.local.set({ [DIGEST_QUEUE_KEY]: ids });
+    }
+  }
+
+  async clear() {
+    await chrome.storage.local.set({ [DIGEST_QUEUE_KEY]: [] });
+  }
+}
+
+export const digestQueue = new DigestQueue();
+
+/* ---------------- BUILDING ---------------- */
+
+// Items for a list notification, grouped in tag order
+export function buildDigestItems(entries) {
+  const items = [];
+
+  for (const tag of TAGS) {
+    for (const entry of entries.filter(e => e.tag === tag)) {
+      items.push({
+        title: `[${tag}] ${entry.from?.name || entry.from?.email || 'Unknown'}`,
+        message: entry.summary
+      });
+    }
+  }
+
+  return items;
+}
+
+export function countByTag(entries) {
+  const counts = {};
+  TAGS.forEach(tag => {
+    const count = entries.filter(e => e.tag === tag).length;
+    if (count) counts[tag] = count;
+  });
+  return counts;
+}
@@ -0,0 +1,315 @@
+/* =========================
+   Extraction
+   Pulls the specifics out of an email: deadlines, meetings,
+   amounts, tracking numbers, verification codes and action
+   items. The regex path below runs without an AI provider;
+   entities from the AI are validated and merged with it.
+========================= */
+
+export const EMPTY_EXTRACTION = {
+  deadlines: [], // { text, date }
+  meetings: [], // { text, date, location }
+  amounts: [], // { text }
+  trackingNumbers: [], // { number, carrier }
+  codes: [], // { code }
+  actionItems: [] // string
+};
+
+const MAX_PER_TYPE = 3;
+
+/* ---------------- DATES ---------------- */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY = '(?:(next|this)\\s+)?(sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?';
+
+const DATE_PATTERNS = [
+  { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/i, parse: m => ({ year: +m[1], month: +m[2] - 1, day: +m[3] }) },
+  {
+    regex: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    parse: m => ({ year: m[3] && +m[3], month: MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()), day: +m[2] })
+  },
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`, 'i'),
+    parse: m => ({ year: m[3] && +m[3], month: MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), day: +m[1] })
+  },
+  // Numeric dates are read month-first
+  {
+    regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+    parse: m => ({ year: m[3] && (m[3].length === 2 ? 2000 + +m[3] : +m[3]), month: +m[1] - 1, day: +m[2] })
+  },
+  { regex: /\b(today|tonight|tomorrow|end of (?:the )?day|eod)\b/i, parse: m => ({ relative: m[1].toLowerCase() }) },
+  { regex: new RegExp(`\\b${WEEKDAY}\\b`, 'i'), parse: m => ({ weekday: m[2].toLowerCase(), modifier: m[1] }) }
+];
+
+const TIME_PATTERN = /\b(?:at\s+)?(?:(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?|([01]?\d|2[0-3]):([0-5]\d))\b|\b(noon|midnight)\b/i;
+
+function resolveDate(parts, now) {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+
+  if (parts.relative) {
+    if (parts.relative === 'tomorrow') date.setDate(date.getDate() + 1);
+    if (parts.relative === 'tonight') date.setHours(20);
+    if (parts.relative.includes('end') || parts.relative === 'eod') date.setHours(17);
+    return date;
+  }
+
+  if (parts.weekday) {
+    const target = WEEKDAYS.findIndex(day => day.startsWith(parts.weekday.slice(0, 3)));
+    let ahead = (target - date.getDay() + 7) % 7;
+    if (ahead === 0 && parts.modifier !== 'this') ahead = 7;
+    date.setDate(date.getDate() + ahead);
+    return date;
+  }
+
+  if (parts.month < 0 || parts.month > 11 || parts.day < 1 || parts.day > 31) return null;
+
+  date.setFullYear(parts.year || date.getFullYear(), parts.month, parts.day);
+  // "Jan 5" written in December means next January
+  if (!parts.year && date < new Date(now.getFullYear(), now.getMonth(), now.getDate() - 7)) {
+    date.setFullYear(date.getFullYear() + 1);
+  }
+  return date;
+}
+
+function applyTime(date, match) {
+  if (match[6]) {
+    date.setHours(match[6].toLowerCase() === 'noon' ? 12 : 0, 0);
+  } else if (match[3]) {
+    const hours = +match[1] % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+    date.setHours(hours, +(match[2] || 0));
+  } else {
+    date.setHours(+match[4], +match[5]);
+  }
+}
+
+// Earliest date expression in the text, with a time if one follows it
+export function parseDate(text, now = new Date()) {
+  let best = null;
+
+  for (const pattern of DATE_PATTERNS) {
+    const match = pattern.regex.exec(text);
+    if (match && (!best || match.index < best.match.index)) {
+      best = { match, pattern };
+    }
+  }
+  if (!best) return null;
+
+  const date = resolveDate(best.pattern.parse(best.match), now);
+  if (!date || Number.isNaN(date.getTime())) return null;
+
+  // "Friday at 3pm" or "3pm on Friday"
+  const end = best.match.index + best.match[0].length;
+  const time = TIME_PATTERN.exec(text.slice(end, end + 20)) || TIME_PATTERN.exec(text.slice(0, best.match.index));
+  if (time) applyTime(date, time);
+
+  return { date, hasTime: Boolean(time) || date.getHours() !== 0, index: best.match.index };
+}
+
+export function formatWhen(iso, hasTime = true) {
+  const date = new Date(iso);
+  const options = { weekday: 'short', month: 'short', day: 'numeric' };
+  if (hasTime) Object.assign(options, { hour: 'numeric', minute: '2-digit' });
+  return date.toLocaleString(undefined, options);
+}
+
+/* ---------------- PATTERNS ---------------- */
+
+const DEADLINE_TRIGGER = /\b(?:due(?:\s+(?:on|by))?|deadline(?:\s+is)?|by|before|no later than|expires?(?:\s+on)?|until|closes?(?:\s+on)?)\s+/gi;
+const MEETING_WORDS = /\b(meeting|call|interview|appointment|webinar|sync|standup|catch[- ]up|demo|invite|invitation)\b/i;
+const LOCATION_PATTERNS = [
+  /\b(?:location|where|venue)\s*:\s*([^\n.;]{3,60})/i,
+  /\b(?:in|at)\s+((?:the\s+)?(?:room|conference room|meeting room|building|office|floor)\s+[\w-]+)/i,
+  /\b(zoom|google meet|microsoft teams|teams|webex)\b/i
+];
+
+const AMOUNT_PATTERN = /(?:[$€£¥₹]\s?\d{1,3}(?:[,.]\d{3})*(?:[.,]\d{2})?|\b\d{1,3}(?:,\d{3})*(?:\.\d{2})?\s?(?:USD|EUR|GBP|INR|CAD|AUD|JPY)\b)/g;
+
+// A code needs OTP wording right next to it, so "code SAVE20" or "pin 2024" stay out
+const CODE_CONTEXT = String.raw`(?:verification(?:\s+code)?|one[- ]time\s+(?:passcode|password|code)|(?:log|sign)[- ]?in\s+code|otp|passcode|security\s+code)`;
+// Digits only, or a short mix of letters and at least two digits
+const CODE_FORMAT = String.raw`(\d{3}[- ]\d{3}|\d{4,8}|(?=(?:[A-Z]*\d){2})[A-Z0-9]{4,8})`;
+
+export const CODE_PATTERNS = [
+  new RegExp(String.raw`\b${CODE_CONTEXT}\b[^A-Za-z0-9\n]{0,12}(?:is\s*)?[:\s]*${CODE_FORMAT}\b`, 'i'),
+  new RegExp(String.raw`\b(\d{4,8})\s+is your(?:\s+[\w-]+){0,2}?\s+${CODE_CONTEXT}\b`, 'i')
+];
+
+const TRACKING_PATTERNS = [
+  { carrier: 'UPS', regex: /\b(1Z[0-9A-Z]{16})\b/g },
+  { carrier: 'USPS', regex: /\b(9[2-5]\d{20})\b/g },
+  { carrier: null, regex: /\btracking\s*(?:number|no\.?|#|id)?\s*[:#]?\s*([A-Z0-9]{8,30})\b/gi }
+];
+
+const ACTION_PATTERN = /\b(please|could you|can you|would you|kindly|need you to|make sure|don't forget|remember to|action required)\b/i;
+
+function sentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function findLocation(text) {
+  for (const pattern of LOCATION_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) return match[1].trim();
+  }
+  if (/zoom\.us\//i.test(text)) return 'Zoom';
+  if (/meet\.google\.com\//i.test(text)) return 'Google Meet';
+  if (/teams\.microsoft\.com\//i.test(text)) return 'Microsoft Teams';
+  return null;
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => {
+    const value = key(item);
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  }).slice(0, MAX_PER_TYPE);
+}
+
+/* ---------------- EXTRACTION ---------------- */
+
+export function extractEntities(text, now = new Date()) {
+  const result = structuredClone(EMPTY_EXTRACTION);
+  if (!text) return result;
+
+  for (const sentence of sentences(text)) {
+    for (const trigger of sentence.matchAll(DEADLINE_TRIGGER)) {
+      const after = sentence.slice(trigger.index + trigger[0].length);
+      const parsed = parseDate(after, now);
+      // The date must follow the trigger directly, not somewhere later in the sentence
+      if (parsed && parsed.index <= 3) {
+        result.deadlines.push({ text: sentence.slice(0, 160), date: parsed.date.toISOString(), hasTime: parsed.hasTime });
+        break;
+      }
+    }
+
+    if (MEETING_WORDS.test(sentence)) {
+      const parsed = parseDate(sentence, now);
+      if (parsed) {
+        result.meetings.push({
+          text: sentence.slice(0, 160),
+          date: parsed.date.toISOString(),
+          hasTime: parsed.hasTime,
+          location: findLocation(sentence) || findLocation(text)
+        });
+      }
+    }
+
+    if (ACTION_PATTERN.test(sentence) && sentence.length <= 200) {
+      result.actionItems.push(sentence);
+    }
+  }
+
+  result.amounts = [...text.matchAll(AMOUNT_PATTERN)].map(match => ({ text: match[0].trim() }));
+
+  for (const pattern of CODE_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) {
+      result.codes.push({ code: match[1].replace(/[- ]/g, '') });
+      break;
+    }
+  }
+
+  for (const { carrier, regex } of TRACKING_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      if (/\d/.test(match[1])) result.trackingNumbers.push({ number: match[1].toUpperCase(), carrier });
+    }
+  }
+
+  return {
+    deadlines: uniqueBy(result.deadlines, item => item.date),
+    meetings: uniqueBy(result.meetings, item => item.date),
+    amounts: uniqueBy(result.amounts, item => item.text),
+    trackingNumbers: uniqueBy(result.trackingNumbers, item => item.number),
+    codes: uniqueBy(result.codes, item => item.code),
+    actionItems: uniqueBy(result.actionItems, item => item.toLowerCase())
+  };
+}
+
+// Entities from the AI are only trusted where they can be checked against the text
+export function mergeExtraction(aiEntities, regexEntities, text) {
+  if (!aiEntities || typeof aiEntities !== 'object') return regexEntities;
+
+  const list = key => (Array.isArray(aiEntities[key]) ? aiEntities[key] : []);
+  const validDate = value => value && !Number.isNaN(new Date(value).getTime());
+  const compact = value => String(value).replace(/[\s-]/g, '');
+  const inText = value => compact(text).includes(compact(value));
+
+  const merged = {
+    deadlines: [
+      ...list('deadlines')
+        .filter(item => validDate(item?.date))
+        .map(item => ({ text: String(item.text || ''), date: new Date(item.date).toISOString(), hasTime: item.hasTime !== false })),
+      ...regexEntities.deadlines
+    ],
+    meetings: [
+      ...list('meetings')
+        .filter(item => validDate(item?.date))
+        .map(item => ({
+          text: String(item.text || ''),
+          date: new Date(item.date).toISOString(),
+          hasTime: item.hasTime !== false,
+          location: item.location ? String(item.location) : null
+        })),
+      ...regexEntities.meetings
+    ],
+    amounts: [
+      ...list('amounts').filter(item => item?.text && inText(item.text)).map(item => ({ text: String(item.text) })),
+      ...regexEntities.amounts
+    ],
+    trackingNumbers: [
+      ...list('trackingNumbers')
+        .filter(item => item?.number && inText(item.number))
+        .map(item => ({ number: String(item.number).toUpperCase(), carrier: item.carrier || null })),
+      ...regexEntities.trackingNumbers
+    ],
+    // A hallucinated code is worse than none
+    codes: [
+      ...list('codes').filter(item => item?.code && inText(item.code)).map(item => ({ code: compact(item.code) })),
+      ...regexEntities.codes
+    ],
+    actionItems: [
+      ...list('actionItems').filter(item => typeof item === 'string' && item.trim()).map(item => item.trim()),
+      ...regexEntities.actionItems
+    ]
+  };
+
+  return {
+    deadlines: uniqueBy(merged.deadlines, item => item.date),
+    meetings: uniqueBy(merged.meetings, item => item.date),
+    amounts: uniqueBy(merged.amounts, item => item.text),
+    trackingNumbers: uniqueBy(merged.trackingNumbers, item => item.number),
+    codes: uniqueBy(merged.codes, item => item.code),
+    actionItems: uniqueBy(merged.actionItems, item => item.toLowerCase())
+  };
+}
+
+export function hasEntities(extracted) {
+  return Boolean(extracted) && Object.values(extracted).some(items => items.length);
+}
+
+/* ---------------- DISPLAY ---------------- */
+
+// Short lines for a notification, most actionable first
+export function highlightLines(extracted, limit = 2) {
+  if (!extracted) return [];
+
+  const lines = [
+    ...extracted.codes.map(item => `Code: ${item.code}`),
+    ...extracted.deadlines.map(item => `Due: ${formatWhen(item.date, item.hasTime)}`),
+    ...extracted.meetings.map(item =>
+      `Meeting: ${formatWhen(item.date, item.hasTime)}${item.location ? ` · ${item.location}` : ''}`),
+    ...extracted.amounts.map(item => `Amount: ${item.text}`),
+    ...extracted.trackingNumbers.map(item => `Tracking: ${item.number}${item.carrier ? ` (${item.carrier})` : ''}`)
+  ];
+
+  return lines.slice(0, limit);
+}
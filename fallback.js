@@ -0,0 +1,172 @@
+/* =========================
+   Keyword Fallback Classifier
+   Used when no AI provider is configured or the AI call fails.
+   Keywords only match whole words, and a category is applied
+   only when its confidence clears the threshold.
+========================= */
+
+// A subject hit says more about intent than the same word deep in the body
+const FIELD_WEIGHTS = {
+  subject: 2,
+  body: 1,
+  sender: 1.5
+};
+
+// Bonus for mail from a domain known to send a category
+const DOMAIN_WEIGHT = 3;
+
+export const CONFIDENCE_THRESHOLD = 0.5;
+
+export const TAGS = ['Urgent', 'Reply Required', 'FYI', 'No Reply Needed'];
+
+export const CATEGORIES = [
+  {
+    id: 'interview',
+    tag: 'Reply Required',
+    summary: 'Interview-related email; reply to confirm next steps.',
+    keywords: {
+      interview: 3,
+      'next round': 3,
+      recruiter: 2,
+      recruiting: 2,
+      hiring: 2,
+      hr: 2,
+      candidate: 1,
+      position: 1
+    },
+    domains: ['greenhouse.io', 'lever.co', 'myworkday.com', 'smartrecruiters.com']
+  },
+  {
+    id: 'event',
+    tag: 'Reply Required',
+    summary: 'Event invitation; reply if you want to attend.',
+    keywords: {
+      rsvp: 3,
+      webinar: 3,
+      meetup: 3,
+      invitation: 2,
+      invite: 2,
+      invited: 2,
+      event: 2,
+      session: 1
+    },
+    domains: ['eventbrite.com', 'meetup.com', 'lu.ma']
+  },
+  {
+    id: 'response',
+    tag: 'Reply Required',
+    summary: 'This email asks for your response or confirmation.',
+    keywords: {
+      'please reply': 3,
+      'please confirm': 3,
+      'let us know': 2,
+      'let me know': 2,
+      'get back to': 2,
+      respond: 2,
+      'would you': 1
+    },
+    domains: []
+  },
+  {
+    id: 'update',
+    tag: 'FYI',
+    summary: 'This email shares an update or announcement.',
+    keywords: {
+      newsletter: 3,
+      announcement: 2,
+      digest: 2,
+      update: 1,
+      inform: 1,
+      announcing: 2
+    },
+    domains: ['substack.com', 'mailchimp.com', 'mailchimpapp.com']
+  }
+];
+
+/* ---------------- TOKENIZING ---------------- */
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Count whole-word (or whole-phrase) occurrences in a token list
+function countPhrase(tokens, phrase) {
+  const words = phrase.split(' ');
+  let count = 0;
+
+  for (let i = 0; i <= tokens.length - words.length; i++) {
+    if (words.every((word, offset) => tokens[i + offset] === word)) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+function senderDomain(sender) {
+  const at = (sender || '').lastIndexOf('@');
+  return at === -1 ? '' : sender.slice(at + 1).toLowerCase().replace(/>$/, '');
+}
+
+/* ---------------- SCORING ---------------- */
+
+export function scoreCategories({ subject = '', body = '', sender = '' }) {
+  const fields = {
+    subject: tokenize(subject),
+    body: tokenize(body),
+    sender: tokenize(sender)
+  };
+  const domain = senderDomain(sender);
+
+  return CATEGORIES.map(category => {
+    let score = 0;
+
+    for (const [field, tokens] of Object.entries(fields)) {
+      for (const [keyword, weight] of Object.entries(category.keywords)) {
+        // Repeats add a little, but one long body can't dominate
+        const hits = Math.min(countPhrase(tokens, keyword), 3);
+        score += hits * weight * FIELD_WEIGHTS[field];
+      }
+    }
+
+    if (domain && category.domains.some(d => domain === d || domain.endsWith(`.${d}`))) {
+      score += DOMAIN_WEIGHT * FIELD_WEIGHTS.sender;
+    }
+
+    return { category, score };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// Confidence grows with the best score and shrinks when a runner-up is close
+export function confidence(best, runnerUp) {
+  if (best <= 0) return 0;
+  const strength = 1 - Math.exp(-best / 4);
+  const margin = best / (best + runnerUp);
+  return Math.round(strength * margin * 100) / 100;
+}
+
+export function classifyByKeywords({ subject = '', body = '', sender = '' }) {
+  const [first, second] = scoreCategories({ subject, body, sender });
+  const score = confidence(first.score, second?.score || 0);
+
+  if (score >= CONFIDENCE_THRESHOLD) {
+    return {
+      summary: first.category.summary,
+      tag: first.category.tag,
+      category: first.category.id,
+      score
+    };
+  }
+
+  return {
+    summary: subject
+      ? `This email is about ${subject.toLowerCase()}.`
+      : 'This email contains general information.',
+    tag: 'No Reply Needed',
+    category: null,
+    score
+  };
+}
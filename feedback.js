@@ -0,0 +1,169 @@
+import { TAGS } from './fallback.js';
+import { bayesClassifier } from './bayes.js';
+import { vault } from './vault.js';
+
+/* =========================
+   Tag Feedback
+   User corrections become sender/domain overrides, few-shot
+   examples for the AI prompt and training data for the
+   on-device classifier. Daily counts track accuracy.
+========================= */
+
+export const FEEDBACK_KEY = 'tag_feedback';
+const MAX_CORRECTIONS = 100;
+const STATS_DAYS = 30;
+
+export const CORRECTION_SCOPES = ['message', 'sender', 'domain'];
+
+function emptyFeedback() {
+  return {
+    corrections: [],
+    overrides: { senders: {}, domains: {} },
+    daily: {} // YYYY-MM-DD -> { total, corrected }
+  };
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function domainOf(sender) {
+  const at = (sender || '').lastIndexOf('@');
+  return at === -1 ? '' : sender.slice(at + 1).toLowerCase();
+}
+
+export class FeedbackStore {
+  constructor() {
+    this.data = emptyFeedback();
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  async load() {
+    this.data = { ...emptyFeedback(), ...(await vault.read(FEEDBACK_KEY)) };
+    this.loaded = true;
+    return this.data;
+  }
+
+  unload() {
+    this.data = emptyFeedback();
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+
+    // Drop stats older than the reporting window
+    const cutoff = dayKey(new Date(Date.now() - STATS_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(this.data.daily).forEach(day => {
+      if (day < cutoff) delete this.data.daily[day];
+    });
+
+    await vault.write(FEEDBACK_KEY, this.data);
+    this.dirty = false;
+  }
+
+  bumpDaily(field) {
+    const day = dayKey();
+    const counts = this.data.daily[day] || { total: 0, corrected: 0 };
+    counts[field]++;
+    this.data.daily[day] = counts;
+    this.dirty = true;
+  }
+
+  recordProcessed() {
+    this.bumpDaily('total');
+  }
+
+  /* ---------------- CORRECTIONS ---------------- */
+
+  // entry is an email history entry; scope is one of CORRECTION_SCOPES
+  async correctTag(entry, tag, scope = 'message') {
+    if (!TAGS.includes(tag)) {
+      throw new Error(`Unknown tag "${tag}"`);
+    }
+    await this.ensureLoaded();
+
+    const sender = (entry.from?.email || '').toLowerCase();
+    const domain = domainOf(sender);
+    const alreadyCorrected = this.data.corrections.some(c => c.id === entry.id);
+
+    this.data.corrections = [
+      {
+        id: entry.id,
+        sender,
+        subject: entry.subject || '',
+        snippet: entry.snippet || '',
+        from: entry.originalTag || entry.tag,
+        to: tag,
+        at: new Date().toISOString()
+      },
+      ...this.data.corrections.filter(c => c.id !== entry.id)
+    ].slice(0, MAX_CORRECTIONS);
+
+    if (scope === 'sender' && sender) {
+      this.data.overrides.senders[sender] = tag;
+    } else if (scope === 'domain' && domain) {
+      this.data.overrides.domains[domain] = tag;
+    }
+
+    // Re-tagging the same email twice still counts as one miss
+    if (!alreadyCorrected) {
+      this.bumpDaily('corrected');
+    }
+    this.dirty = true;
+
+    await bayesClassifier.learn(`${entry.subject || ''} ${entry.snippet || ''}`, tag);
+    await this.flush();
+  }
+
+  getOverride(sender) {
+    const email = (sender || '').toLowerCase();
+    return this.data.overrides.senders[email]
+      || this.data.overrides.domains[domainOf(email)]
+      || null;
+  }
+
+  async removeOverride(key) {
+    await this.ensureLoaded();
+    delete this.data.overrides.senders[key];
+    delete this.data.overrides.domains[key];
+    this.dirty = true;
+    await this.flush();
+  }
+
+  // Most recent corrections, for the AI prompt
+  getFewShotExamples(limit = 5) {
+    return this.data.corrections.slice(0, limit);
+  }
+
+  /* ---------------- STATS ---------------- */
+
+  getAccuracyStats(days = 7) {
+    const daily = [];
+    let total = 0;
+    let corrected = 0;
+
+    for (let i = days - 1; i >= 0; i--) {
+      const day = dayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+      const counts = this.data.daily[day] || { total: 0, corrected: 0 };
+      daily.push({ day, ...counts });
+      total += counts.total;
+      corrected += counts.corrected;
+    }
+
+    return {
+      total,
+      corrected,
+      accuracy: total ? Math.round(((total - corrected) / total) * 100) : null,
+      daily
+    };
+  }
+}
+
+export const feedbackStore = new FeedbackStore();
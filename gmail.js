@@ -1,76 +1,239 @@
+import { HttpClient, ERROR_TYPES } from './http.js';
+import { parsePayload, getHeader, decodeEncodedWords } from './mime.js';
+import { htmlToText } from './html.js';
+import { quotaMeter } from './quota.js';
+
+// messages.list caps maxResults at 500
+const MAX_PAGE_SIZE = 500;
+// Parallel message fetches kept low to stay within per-user quota
+const MAX_CONCURRENT_REQUESTS = 5;
+const METADATA_HEADERS = ['Subject', 'From', 'Date'];
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, run)
+  );
+  return results;
+}
+
 export class GmailAPI {
   constructor() {
     this.baseUrl = 'https://gmail.googleapis.com/gmail/v1';
+    this.http = new HttpClient();
+  }
+
+  // Called on 401 with the rejected token; must resolve to a fresh one
+  setAuthRefresher(refresher) {
+    this.http.setAuthRefresher(refresher);
+  }
+
+  request(authToken, path, options = {}) {
+    // Not awaited: a lost quota sample only makes the meter read low
+    quotaMeter.record(path).catch(error => console.warn('Recording quota usage failed:', error));
+    return this.http.request(`${this.baseUrl}${path}`, { authToken, ...options });
   }
 
-  async getUnreadEmails(authToken) {
+  async getUnreadEmails(authToken, limit = 10, format = 'metadata') {
     try {
-      // Get list of unread messages
-      const listResponse = await fetch(
-        `${this.baseUrl}/users/me/messages?q=is:unread`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const ids = await this.listMessageIds(authToken, 'is:unread', limit);
+      return await this.getMessagesDetails(authToken, ids, format);
+    } catch (error) {
+      console.error('Error fetching unread emails:', error);
+      throw error;
+    }
+  }
+
+  async listMessageIds(authToken, query, limit, labelIds = []) {
+    const ids = [];
+    let pageToken = null;
 
-      if (!listResponse.ok) {
-        throw new Error(`Gmail API error: ${listResponse.status} ${listResponse.statusText}`);
+    do {
+      const params = new URLSearchParams({
+        q: query,
+        maxResults: String(Math.min(limit - ids.length, MAX_PAGE_SIZE))
+      });
+      labelIds.forEach(labelId => params.append('labelIds', labelId));
+      if (pageToken) {
+        params.set('pageToken', pageToken);
       }
 
-      const listData = await listResponse.json();
-      const messages = listData.messages || [];
+      const listData = await this.request(authToken, `/users/me/messages?${params}`);
+      for (const msg of listData.messages || []) {
+        ids.push(msg.id);
+      }
 
-      // Fetch full message details for each message
-      const fullMessages = await Promise.all(
-        messages.slice(0, 10).map(msg => this.getMessageDetails(authToken, msg.id))
-      );
+      pageToken = listData.nextPageToken || null;
+    } while (pageToken && ids.length < limit);
 
-      return fullMessages.filter(msg => msg !== null);
+    return ids.slice(0, limit);
+  }
+
+  // Fetch details for many messages without flooding the API.
+  // Messages that still fail after retries are reported, not dropped.
+  async getMessagesDetails(authToken, messageIds, format = 'full') {
+    const failedIds = [];
+
+    const messages = await mapWithConcurrency(
+      messageIds,
+      MAX_CONCURRENT_REQUESTS,
+      async id => {
+        try {
+          return await this.getMessageDetails(authToken, id, format);
+        } catch (error) {
+          if (error.type === ERROR_TYPES.AUTH) throw error;
+          failedIds.push(id);
+          return null;
+        }
+      }
+    );
+
+    return { messages: messages.filter(msg => msg !== null), failedIds };
+  }
+
+  async listLabels(authToken) {
+    const data = await this.request(authToken, '/users/me/labels');
+    return (data.labels || []).map(label => ({
+      id: label.id,
+      name: label.name,
+      type: label.type
+    }));
+  }
+
+  // Gmail rejects malformed queries with a 400; anything else is accepted
+  async validateQuery(authToken, query, labelIds = []) {
+    try {
+      await this.listMessageIds(authToken, query, 1, labelIds);
+      return { valid: true };
     } catch (error) {
-      console.error('Error fetching unread emails:', error);
+      if (error.status === 400) {
+        return { valid: false, error: error.reason || error.message };
+      }
       throw error;
     }
   }
 
-  async getMessageDetails(authToken, messageId) {
-    try {
-      const response = await fetch(
-        `${this.baseUrl}/users/me/messages/${messageId}?format=full`,
-        {
-          headers: {
-            'Authorization': `Bearer ${authToken}`,
-            'Content-Type': 'application/json'
-          }
+  async getProfile(authToken) {
+    return this.request(authToken, '/users/me/profile');
+  }
+
+  // Throws with status 404 when startHistoryId is too old; caller must resync
+  async listHistory(authToken, startHistoryId) {
+    const added = [];
+    let historyId = startHistoryId;
+    let pageToken = null;
+
+    do {
+      const params = new URLSearchParams({
+        startHistoryId,
+        historyTypes: 'messageAdded'
+      });
+      if (pageToken) {
+        params.set('pageToken', pageToken);
+      }
+
+      const data = await this.request(authToken, `/users/me/history?${params}`);
+
+      for (const record of data.history || []) {
+        for (const entry of record.messagesAdded || []) {
+          added.push(entry.message);
         }
-      );
+      }
 
-      if (!response.ok) {
-        console.error(`Failed to fetch message ${messageId}: ${response.status}`);
+      historyId = data.historyId || historyId;
+      pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    return { messages: added, historyId };
+  }
+
+  // Returns null for messages that no longer exist; throws on other failures
+  async getMessageDetails(authToken, messageId, format = 'full') {
+    const params = new URLSearchParams({ format });
+    if (format === 'metadata') {
+      METADATA_HEADERS.forEach(name => params.append('metadataHeaders', name));
+    }
+
+    try {
+      const messageData = await this.request(
+        authToken,
+        `/users/me/messages/${messageId}?${params}`
+      );
+      return { ...this.parseMessage(messageData), format };
+    } catch (error) {
+      if (error.type === ERROR_TYPES.PERMANENT) {
+        console.error(`Failed to fetch message ${messageId}: ${error.status}`);
         return null;
       }
+      throw error;
+    }
+  }
 
-      const messageData = await response.json();
-      return this.parseMessage(messageData);
+  // Every message in the thread, oldest first; null if the thread is gone
+  async getThread(authToken, threadId) {
+    try {
+      const threadData = await this.request(authToken, `/users/me/threads/${threadId}?format=full`);
+      return {
+        id: threadData.id,
+        messages: (threadData.messages || [])
+          .map(message => ({ ...this.parseMessage(message), format: 'full' }))
+          .sort((a, b) => Number(a.internalDate) - Number(b.internalDate))
+      };
     } catch (error) {
-      console.error(`Error fetching message details for ${messageId}:`, error);
-      return null;
+      if (error.type === ERROR_TYPES.PERMANENT) {
+        console.error(`Failed to fetch thread ${threadId}: ${error.status}`);
+        return null;
+      }
+      throw error;
     }
   }
 
+  /* ---------------- ACTIONS ---------------- */
+
+  // Requires the gmail.modify scope
+  async modifyMessage(authToken, messageId, { addLabelIds = [], removeLabelIds = [] }) {
+    return this.request(authToken, `/users/me/messages/${messageId}/modify`, {
+      method: 'POST',
+      body: JSON.stringify({ addLabelIds, removeLabelIds })
+    });
+  }
+
+  async markAsRead(authToken, messageId) {
+    return this.modifyMessage(authToken, messageId, { removeLabelIds: ['UNREAD'] });
+  }
+
+  async archive(authToken, messageId) {
+    return this.modifyMessage(authToken, messageId, { removeLabelIds: ['INBOX'] });
+  }
+
+  // Puts a snoozed message back in the inbox as unread
+  async restoreToInbox(authToken, messageId) {
+    return this.modifyMessage(authToken, messageId, { addLabelIds: ['INBOX', 'UNREAD'] });
+  }
+
+  // #all works for archived threads as well as inbox ones
+  // authuser picks the right mailbox when several accounts are signed in
+  getThreadUrl(threadId, accountEmail = null) {
+    const account = accountEmail ? `?authuser=${encodeURIComponent(accountEmail)}` : 'u/0/';
+    return `https://mail.google.com/mail/${account}#all/${threadId}`;
+  }
+
   parseMessage(messageData) {
     const headers = messageData.payload?.headers || [];
-    
-    const getHeader = (name) => {
-      const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
-      return header ? header.value : '';
-    };
 
-    const subject = getHeader('Subject') || '(No Subject)';
-    const from = getHeader('From') || '';
-    const date = getHeader('Date') || '';
+    // Gmail usually decodes RFC 2047 words itself, but not for every sender
+    const subject = decodeEncodedWords(getHeader(headers, 'Subject')) || '(No Subject)';
+    const from = decodeEncodedWords(getHeader(headers, 'From'));
+    const date = getHeader(headers, 'Date');
     
     // Parse from field
     const fromMatch = from.match(/^(?:"?([^"]*)"?\s)?(?:<?([^<>@]+@[^<>@]+)>?)/);
@@ -80,15 +243,17 @@ export class GmailAPI {
     // Extract snippet (already provided by Gmail API)
     const snippet = messageData.snippet || '';
 
-    // Extract full email body
-    const body = this.extractEmailBody(messageData.payload);
+    // Extract full email body and the attachment manifest
+    const { body, attachments } = this.extractEmailBody(messageData.payload);
 
     return {
       id: messageData.id,
       threadId: messageData.threadId,
+      labelIds: messageData.labelIds || [],
       subject,
       snippet,
       body,
+      attachments,
       from: {
         name: fromName,
         email: fromEmail
@@ -98,75 +263,27 @@ export class GmailAPI {
     };
   }
 
+  // Plain text wins over HTML when a message carries both
   extractEmailBody(payload) {
-    if (!payload) return '';
-
-    // Handle single part message
-    if (payload.mimeType && payload.body?.data) {
-      const content = this.decodeBase64(payload.body.data);
-      if (payload.mimeType === 'text/plain') {
-        return content;
-      } else if (payload.mimeType === 'text/html') {
-        return this.stripHtml(content);
-      }
-    }
-
-    // Handle multipart message
-    if (payload.parts) {
-      // First try to find text/plain
-      for (const part of payload.parts) {
-        if (part.mimeType === 'text/plain' && part.body?.data) {
-          return this.decodeBase64(part.body.data);
-        }
-      }
-      
-      // Fallback to text/html
-      for (const part of payload.parts) {
-        if (part.mimeType === 'text/html' && part.body?.data) {
-          return this.stripHtml(this.decodeBase64(part.body.data));
-        }
-      }
-
-      // Recursively check nested parts
-      for (const part of payload.parts) {
-        const nestedBody = this.extractEmailBody(part);
-        if (nestedBody) {
-          return nestedBody;
-        }
-      }
-    }
-
-    return '';
-  }
-
-  decodeBase64(base64String) {
     try {
-      // Gmail uses URL-safe base64 encoding
-      const normalized = base64String.replace(/-/g, '+').replace(/_/g, '/');
-      return decodeURIComponent(atob(normalized).split('').map(c => {
-        return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-      }).join(''));
+      const { text, html, attachments } = parsePayload(payload);
+      return {
+        body: text || (html ? this.stripHtml(html) : ''),
+        attachments
+      };
     } catch (error) {
-      console.error('Error decoding base64:', error);
-      return '';
+      console.error('Error parsing message body:', error);
+      return { body: '', attachments: [] };
     }
   }
 
+  // No DOM in the service worker, so this must not touch document
   stripHtml(html) {
     try {
-      // Remove HTML tags and decode HTML entities
-      const temp = document.createElement('div');
-      temp.innerHTML = html;
-      const text = temp.textContent || temp.innerText || '';
-      
-      // Clean up extra whitespace and line breaks
-      return text
-        .replace(/\s+/g, ' ')
-        .replace(/\n\s*\n/g, '\n')
-        .trim();
+      return htmlToText(html);
     } catch (error) {
-      console.error('Error stripping HTML:', error);
-      return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+      console.error('Error converting HTML:', error);
+      return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
     }
   }
 }
@@ -0,0 +1,83 @@
+import { vault } from './vault.js';
+
+export const HISTORY_KEY = 'email_history';
+const MAX_ENTRIES = 200;
+
+// Rolling list of processed emails, newest first
+export class EmailHistory {
+  constructor() {
+    this.entries = [];
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  async load() {
+    this.entries = (await vault.read(HISTORY_KEY)) || [];
+    this.loaded = true;
+    return this.entries;
+  }
+
+  // Drops the in-memory copy, e.g. when the vault is locked
+  unload() {
+    this.entries = [];
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  add(entry) {
+    this.entries = [entry, ...this.entries.filter(e => e.id !== entry.id)].slice(0, MAX_ENTRIES);
+    this.dirty = true;
+  }
+
+  get(messageId) {
+    return this.entries.find(e => e.id === messageId) || null;
+  }
+
+  // tag: exact tag; sender: substring of name or address; since: ISO date or ms
+  filter({ tag = null, sender = '', since = null } = {}) {
+    const needle = sender.trim().toLowerCase();
+    const cutoff = since ? new Date(since).getTime() : null;
+
+    return this.entries.filter(entry => {
+      if (tag && entry.tag !== tag) return false;
+
+      if (needle) {
+        const from = `${entry.from?.name || ''} ${entry.from?.email || ''}`.toLowerCase();
+        if (!from.includes(needle)) return false;
+      }
+
+      const received = new Date(entry.receivedAt || entry.processedAt).getTime();
+      if (cutoff && received < cutoff) return false;
+
+      return true;
+    });
+  }
+
+  update(messageId, patch) {
+    const entry = this.get(messageId);
+    if (!entry) return null;
+
+    Object.assign(entry, patch);
+    this.dirty = true;
+    return entry;
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+
+    await vault.write(HISTORY_KEY, this.entries);
+    this.dirty = false;
+  }
+
+  async clear() {
+    this.entries = [];
+    this.dirty = true;
+    await this.flush();
+  }
+}
+
+export const emailHistory = new EmailHistory();
@@ -0,0 +1,239 @@
+/* =========================
+   HTML to Text
+   The service worker has no DOM, so HTML bodies are converted
+   with a small tag scanner: invisible content is dropped, block
+   structure becomes line breaks, and quoted replies and
+   signatures are cut off.
+========================= */
+
+// Never rendered, so their contents never reach the text
+const SKIPPED_TAGS = ['head', 'title', 'style', 'script', 'noscript', 'template', 'svg', 'object'];
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figure',
+  'footer', 'form', 'header', 'main', 'nav', 'section', 'table', 'tbody', 'thead', 'tfoot', 'tr'
+];
+
+const PARAGRAPH_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'ul', 'ol'];
+
+// Containers mail clients wrap around quoted history and signatures
+const QUOTE_CLASSES = ['gmail_quote', 'gmail_signature', 'yahoo_quoted', 'moz-signature', 'protonmail_quote'];
+
+// Outlook marks where the reply ends but doesn't wrap the quote, so cut everything after
+const QUOTE_START_IDS = ['divRplyFwdMsg', 'appendonsend', 'Signature'];
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢',
+  times: '×', divide: '÷', deg: '°', sect: '§', para: '¶',
+  zwnj: '', zwj: '', shy: '', lrm: '', rlm: ''
+};
+
+// Zero-width and soft-hyphen characters newsletters use to pad preview text
+const INVISIBLE_CHARS = /[\u00ad\u034f\u200b-\u200f\u2060\ufeff]/g;
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+function isHidden(attributes) {
+  if ('hidden' in attributes || attributes['aria-hidden'] === 'true') return true;
+
+  const style = (attributes.style || '').toLowerCase().replace(/\s/g, '');
+  return /display:none|visibility:hidden|max-height:0(?![.\d])|font-size:0(?![.\d])|opacity:0(?![.\d])/.test(style);
+}
+
+function isQuote(tag, attributes) {
+  const classes = (attributes.class || '').split(/\s+/);
+  if (QUOTE_CLASSES.some(name => classes.includes(name))) return true;
+  return tag === 'blockquote' && (attributes.type || '').toLowerCase() === 'cite';
+}
+
+/* ---------------- CONVERSION ---------------- */
+
+class TextWriter {
+  constructor() {
+    this.output = '';
+    this.pendingBreaks = 0;
+  }
+
+  // Breaks collapse: a <p> right after a <div> still yields one blank line
+  lineBreak(count = 1) {
+    this.pendingBreaks = Math.max(this.pendingBreaks, count);
+  }
+
+  write(text, { preformatted = false } = {}) {
+    const value = preformatted ? text : text.replace(/\s+/g, ' ');
+    if (!value || (!preformatted && value === ' ' && /(^|\s)$/.test(this.output))) return;
+
+    if (this.pendingBreaks && this.output) {
+      this.output = this.output.replace(/[ \t]+$/, '') + '\n'.repeat(this.pendingBreaks);
+    }
+    this.pendingBreaks = 0;
+
+    const atLineStart = !this.output || this.output.endsWith('\n');
+    this.output += atLineStart && !preformatted ? value.replace(/^ /, '') : value;
+  }
+
+  toString() {
+    return this.output
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+export function htmlToText(html = '') {
+  const writer = new TextWriter();
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+
+  const lists = []; // { ordered, index } per open <ul>/<ol>
+  const links = []; // { href, start } per open <a>
+  let skip = null; // { tag, depth } while inside an element whose content is dropped
+  let preDepth = 0;
+  let lastIndex = 0;
+
+  const writeText = raw => {
+    const text = decodeEntities(raw).replace(INVISIBLE_CHARS, '');
+    writer.write(text, { preformatted: preDepth > 0 });
+  };
+
+  let match;
+  while ((match = tokens.exec(html))) {
+    if (!skip) writeText(html.slice(lastIndex, match.index));
+    lastIndex = tokens.lastIndex;
+
+    const tag = match[1]?.toLowerCase();
+    if (!tag) continue; // comment, doctype or CDATA
+
+    const closing = match[0][1] === '/';
+    const selfClosing = VOID_TAGS.includes(tag) || /\/\s*$/.test(match[2]);
+
+    if (skip) {
+      if (tag === skip.tag && !selfClosing) {
+        skip.depth += closing ? -1 : 1;
+        if (skip.depth === 0) skip = null;
+      }
+      continue;
+    }
+
+    if (closing) {
+      if (tag === 'a') {
+        const link = links.pop();
+        // Readable text for bare links: "example.com/path" rather than nothing
+        if (link && writer.output.length === link.start && /^https?:/i.test(link.href)) {
+          writer.write(link.href.replace(/^https?:\/\/(www\.)?/i, '').replace(/[?#].*$/, ''));
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        lists.pop();
+        writer.lineBreak(2);
+      } else if (tag === 'pre') {
+        preDepth = Math.max(0, preDepth - 1);
+        writer.lineBreak(2);
+      } else if (PARAGRAPH_TAGS.includes(tag)) {
+        writer.lineBreak(2);
+      } else if (BLOCK_TAGS.includes(tag) || tag === 'li') {
+        writer.lineBreak(1);
+      } else if (tag === 'td' || tag === 'th') {
+        writer.write(' ');
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(match[2]);
+
+    if (QUOTE_START_IDS.includes(attributes.id)) {
+      break;
+    }
+
+    if (SKIPPED_TAGS.includes(tag) || isHidden(attributes) || isQuote(tag, attributes)) {
+      if (!selfClosing) skip = { tag, depth: 1 };
+      continue;
+    }
+
+    if (tag === 'br') {
+      writer.lineBreak(1);
+    } else if (tag === 'hr') {
+      writer.lineBreak(2);
+    } else if (tag === 'a') {
+      links.push({ href: attributes.href || '', start: writer.output.length });
+    } else if (tag === 'ul' || tag === 'ol') {
+      lists.push({ ordered: tag === 'ol', index: 0 });
+      writer.lineBreak(1);
+    } else if (tag === 'li') {
+      const list = lists[lists.length - 1];
+      writer.lineBreak(1);
+      if (list) list.index++;
+      writer.write(list?.ordered ? `${list.index}. ` : '- ', { preformatted: true });
+    } else if (tag === 'pre') {
+      preDepth++;
+      writer.lineBreak(2);
+    } else if (PARAGRAPH_TAGS.includes(tag)) {
+      writer.lineBreak(2);
+    } else if (BLOCK_TAGS.includes(tag)) {
+      writer.lineBreak(1);
+    } else if (tag === 'img' && attributes.alt && !/^(1|0)(px)?$/.test(attributes.width || '')) {
+      // Alt text stands in for images, except 1px tracking pixels
+      writer.write(` ${attributes.alt} `);
+    }
+  }
+
+  if (!skip) writeText(html.slice(lastIndex));
+
+  return stripQuotedText(writer.toString());
+}
+
+/* ---------------- QUOTES AND SIGNATURES ---------------- */
+
+// Text-level markers for replies and signatures the HTML didn't label
+const QUOTE_MARKERS = [
+  /^On .+ wrote:$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^From: .+\n(?:Sent|Date): .+/m,
+  /^-- ?$/m, // RFC 3676 signature separator
+  /^Sent from my \w+/im
+];
+
+export function stripQuotedText(text) {
+  let end = text.length;
+
+  for (const marker of QUOTE_MARKERS) {
+    const match = marker.exec(text);
+    // Never cut the whole message: a marker on the first line is the content
+    if (match && match.index > 0 && match.index < end) end = match.index;
+  }
+
+  return text
+    .slice(0, end)
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+}
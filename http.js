@@ -0,0 +1,156 @@
+export const ERROR_TYPES = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate_limit',
+  TRANSIENT: 'transient',
+  PERMANENT: 'permanent'
+};
+
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'];
+
+export class HttpError extends Error {
+  constructor(message, { status = 0, type = ERROR_TYPES.PERMANENT, reason = '', retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.type = type;
+    this.reason = reason;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.type === ERROR_TYPES.RATE_LIMIT || this.type === ERROR_TYPES.TRANSIENT;
+  }
+}
+
+export function classifyStatus(status, reason = '') {
+  if (status === 401) return ERROR_TYPES.AUTH;
+  if (status === 429) return ERROR_TYPES.RATE_LIMIT;
+  // Gmail reports per-user quota exhaustion as 403
+  if (status === 403 && RATE_LIMIT_REASONS.includes(reason)) return ERROR_TYPES.RATE_LIMIT;
+  if (status === 408 || status >= 500) return ERROR_TYPES.TRANSIENT;
+  return ERROR_TYPES.PERMANENT;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class HttpClient {
+  constructor({ maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000 } = {}) {
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.onUnauthorized = null;
+    this.tokenOverrides = new Map(); // stale token -> refreshed token, latest refresh per account
+    this.refreshing = new Map(); // stale token -> in-flight refresh
+  }
+
+  setAuthRefresher(refresher) {
+    this.onUnauthorized = refresher;
+  }
+
+  /* ---------------- REQUEST ---------------- */
+
+  async request(url, { authToken, ...options } = {}) {
+    let token = this.tokenOverrides.get(authToken) || authToken;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(url, token, options);
+      } catch (error) {
+        if (error.type === ERROR_TYPES.AUTH && !refreshed && this.onUnauthorized) {
+          // Retry the same request with a fresh token instead of waiting a tick
+          token = await this.refreshToken(token);
+          refreshed = true;
+          continue;
+        }
+
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        // Chrome stops a worker that waits too long; a long Retry-After is left to the next alarm
+        if (error.retryAfterMs > this.maxDelayMs) {
+          throw error;
+        }
+
+        const delay = error.retryAfterMs ?? this.backoffDelay(attempt);
+        console.warn(`Retrying ${url} in ${Math.round(delay)}ms (${error.type})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async send(url, token, options) {
+    let response;
+
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...options.headers
+        }
+      });
+    } catch (error) {
+      // Network failures never reach an HTTP status
+      throw new HttpError(`Network error: ${error.message}`, {
+        type: ERROR_TYPES.TRANSIENT
+      });
+    }
+
+    if (response.ok) {
+      return response.status === 204 ? null : response.json();
+    }
+
+    let reason = '';
+    try {
+      const body = await response.json();
+      reason = body.error?.errors?.[0]?.reason || body.error?.status || '';
+    } catch {
+      // Error bodies are not always JSON
+    }
+
+    throw new HttpError(`Gmail API error: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      type: classifyStatus(response.status, reason),
+      reason,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+
+  async refreshToken(staleToken) {
+    // Concurrent 401s on the same token share a refresh; each account's token refreshes separately
+    if (!this.refreshing.has(staleToken)) {
+      this.refreshing.set(staleToken, this.onUnauthorized(staleToken).finally(() => {
+        this.refreshing.delete(staleToken);
+      }));
+    }
+
+    const freshToken = await this.refreshing.get(staleToken);
+    // The previous refresh for this account is superseded, so each account keeps one entry
+    for (const [oldToken, override] of this.tokenOverrides) {
+      if (override === staleToken) this.tokenOverrides.delete(oldToken);
+    }
+    this.tokenOverrides.set(staleToken, freshToken);
+    return freshToken;
+  }
+
+  // Exponential backoff with full jitter
+  backoffDelay(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.random() * cap;
+  }
+}
@@ -0,0 +1,104 @@
+/* =========================
+   Message Protocol
+   Every call from the popup and options page to the service
+   worker goes through one dispatcher. Requests carry the
+   protocol version; replies are { success: true, ...data } or
+   { success: false, error }.
+========================= */
+
+// Bump when a request or reply changes shape
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGES = {
+  GET_STATUS: 'getStatus',
+  TOGGLE_POLLING: 'togglePolling',
+  CHECK_NOW: 'checkNow',
+  UPDATE_SETTINGS: 'updateSettings',
+  TEST_AI_CONNECTION: 'testAIConnection',
+  SIGN_OUT: 'signOut',
+  GET_ACCOUNTS: 'getAccounts',
+  ADD_ACCOUNT: 'addAccount',
+  RECONNECT_ACCOUNT: 'reconnectAccount',
+  REMOVE_ACCOUNT: 'removeAccount',
+  UPDATE_ACCOUNT: 'updateAccount',
+  GET_HISTORY: 'getHistory',
+  CORRECT_TAG: 'correctTag',
+  EMAIL_ACTION: 'emailAction',
+  GET_LABELS: 'getLabels',
+  VALIDATE_QUERY: 'validateQuery',
+  CLEAR_PROCESSED: 'clearProcessed',
+  UNLOCK_VAULT: 'unlockVault',
+  LOCK_VAULT: 'lockVault',
+  ENABLE_VAULT: 'enableVault',
+  DISABLE_VAULT: 'disableVault',
+  FORGET_EVERYTHING: 'forgetEverything'
+};
+
+// Long-lived port the popup keeps open for status pushes
+export const STATUS_PORT = 'status';
+
+/**
+ * @typedef {Object} CheckError
+ * @property {string} message
+ * @property {string|null} account  Email of the failing account, null for a global failure
+ * @property {string} at            ISO time of the failure
+ */
+
+/**
+ * @typedef {Object} QuotaUsage
+ * @property {string} date      Local day the counters belong to (YYYY-MM-DD)
+ * @property {number} units     Gmail quota units spent today
+ * @property {number} requests  Gmail requests sent today
+ */
+
+/**
+ * @typedef {Object} VaultStatus
+ * @property {boolean} enabled   A passphrase protects keys and mail-derived data
+ * @property {boolean} unlocked  The key is held for this browser session
+ */
+
+/**
+ * @typedef {Object} Status
+ * @property {boolean} isRunning
+ * @property {boolean} isChecking
+ * @property {number} processedCount
+ * @property {Object[]} accounts
+ * @property {string|null} lastCheck   Last check in which every account succeeded
+ * @property {boolean} stale           Polling is on but nothing succeeded for a while
+ * @property {CheckError|null} lastError
+ * @property {number|null} nextCheck   Epoch ms of the next poll alarm
+ * @property {QuotaUsage} quota
+ * @property {VaultStatus} vault
+ */
+
+/* ---------------- CLIENT ---------------- */
+
+// Resolves to the reply data; a failed request rejects with its error
+export async function sendMessage(action, payload = {}) {
+  const response = await chrome.runtime.sendMessage({
+    ...payload,
+    action,
+    version: PROTOCOL_VERSION
+  });
+
+  if (!response) {
+    throw new Error(`No reply to "${action}"`);
+  }
+  if (!response.success) {
+    throw new Error(response.error || `"${action}" failed`);
+  }
+  return response;
+}
+
+// Calls onStatus with a Status now and on every change; returns an unsubscribe
+export function subscribeToStatus(onStatus) {
+  const port = chrome.runtime.connect({ name: STATUS_PORT });
+
+  port.onMessage.addListener(message => {
+    if (message.version === PROTOCOL_VERSION && message.type === 'status') {
+      onStatus(message.status);
+    }
+  });
+
+  return () => port.disconnect();
+}
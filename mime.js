@@ -0,0 +1,186 @@
+/* =========================
+   MIME
+   Walks a Gmail API message payload: picks the readable body
+   out of nested multiparts, decodes it in its declared charset
+   and lists the attachments.
+========================= */
+
+const DEFAULT_CHARSET = 'utf-8';
+
+/* ---------------- HEADERS ---------------- */
+
+export function getHeader(headers = [], name) {
+  const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : '';
+}
+
+// "text/plain; charset=ISO-8859-1" -> { type: 'text/plain', params: { charset: 'ISO-8859-1' } }
+export function parseContentType(value = '') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const index = param.indexOf('=');
+    if (index === -1) continue;
+
+    const key = param.slice(0, index).trim().toLowerCase();
+    params[key] = param.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/* ---------------- DECODING ---------------- */
+
+// Gmail uses URL-safe base64 without padding
+export function base64UrlToBytes(data = '') {
+  const normalized = data.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, '');
+  const binary = atob(normalized + '='.repeat((4 - normalized.length % 4) % 4));
+
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Unknown or misspelled charsets fall back to UTF-8 rather than dropping the text
+export function decodeBytes(bytes, charset = DEFAULT_CHARSET) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset.toLowerCase());
+  } catch {
+    decoder = new TextDecoder(DEFAULT_CHARSET);
+  }
+  return decoder.decode(bytes);
+}
+
+// In RFC 2047 "Q" encoding underscores stand for spaces
+export function decodeQuotedPrintable(text, { header = false } = {}) {
+  const source = header ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const hex = source.slice(i + 1, i + 3);
+    if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      // Anything that isn't an escape is plain ASCII
+      bytes.push(source.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+// RFC 2047: =?charset?B|Q?text?= ; whitespace between adjacent encoded words is dropped
+export function decodeEncodedWords(value = '') {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? base64UrlToBytes(text)
+          : decodeQuotedPrintable(text, { header: true });
+        return decodeBytes(bytes, charset);
+      } catch {
+        return word;
+      }
+    });
+}
+
+function decodePartText(part) {
+  const headers = part.headers || [];
+  const { params } = parseContentType(getHeader(headers, 'Content-Type'));
+  const encoding = getHeader(headers, 'Content-Transfer-Encoding').toLowerCase();
+
+  let bytes = base64UrlToBytes(part.body.data);
+
+  // Gmail normally undoes the transfer encoding; soft line breaks mean it didn't
+  if (encoding === 'quoted-printable') {
+    const raw = decodeBytes(bytes, 'latin1');
+    if (/=\r?\n/.test(raw)) bytes = decodeQuotedPrintable(raw);
+  }
+
+  return decodeBytes(bytes, params.charset || DEFAULT_CHARSET);
+}
+
+/* ---------------- WALKING ---------------- */
+
+function isAttachment(part) {
+  const disposition = getHeader(part.headers, 'Content-Disposition').toLowerCase();
+  return Boolean(part.filename) || disposition.startsWith('attachment');
+}
+
+function attachmentInfo(part) {
+  return {
+    filename: decodeEncodedWords(part.filename || ''),
+    mimeType: part.mimeType || 'application/octet-stream',
+    size: part.body?.size || 0
+  };
+}
+
+// Collects text, html and attachments from one part and everything below it
+function walk(part, result) {
+  const mimeType = (part.mimeType || '').toLowerCase();
+
+  if (isAttachment(part) && !mimeType.startsWith('multipart/')) {
+    result.attachments.push(attachmentInfo(part));
+    return result;
+  }
+
+  if (mimeType === 'multipart/alternative') {
+    // Children are the same content in increasing fidelity; keep the last of each kind
+    const alternatives = (part.parts || []).map(child =>
+      walk(child, { text: [], html: [], attachments: result.attachments })
+    );
+    const text = alternatives.filter(alternative => alternative.text.length).pop();
+    const html = alternatives.filter(alternative => alternative.html.length).pop();
+
+    if (text) result.text.push(...text.text);
+    if (html) result.html.push(...html.html);
+    return result;
+  }
+
+  if (mimeType === 'multipart/related') {
+    // The first part is the document; the rest are inline images and styles
+    const [root, ...resources] = part.parts || [];
+    if (root) walk(root, result);
+    resources
+      .filter(resource => getHeader(resource.headers, 'Content-Disposition').toLowerCase().startsWith('attachment'))
+      .forEach(resource => result.attachments.push(attachmentInfo(resource)));
+    return result;
+  }
+
+  if (mimeType.startsWith('multipart/') || mimeType === 'message/rfc822') {
+    // mixed, digest, signed, forwarded messages: every body part counts, in order
+    (part.parts || []).forEach(child => walk(child, result));
+    return result;
+  }
+
+  if (!part.body?.data) {
+    return result;
+  }
+
+  if (mimeType === 'text/plain') {
+    result.text.push(decodePartText(part));
+  } else if (mimeType === 'text/html') {
+    result.html.push(decodePartText(part));
+  }
+
+  return result;
+}
+
+export function parsePayload(payload) {
+  if (!payload) {
+    return { text: '', html: '', attachments: [] };
+  }
+
+  const result = walk(payload, { text: [], html: [], attachments: [] });
+  return {
+    text: result.text.join('\n\n').trim(),
+    html: result.html.join('\n'),
+    attachments: result.attachments
+  };
+}
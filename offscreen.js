@@ -0,0 +1,13 @@
+// Offscreen document: the service worker's hands for clipboard writes
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen' || request.action !== 'copy') return;
+
+  // navigator.clipboard needs a focused document; execCommand doesn't
+  const textarea = document.getElementById('clipboard');
+  textarea.value = request.text;
+  textarea.select();
+  document.execCommand('copy');
+  textarea.value = '';
+
+  sendResponse({ success: true });
+});
@@ -0,0 +1,1113 @@
+import { loadRules, saveRules, resetRules, validateRule } from './rules.js';
+import { TAGS } from './fallback.js';
+import { resolveWatchProfiles } from './watch.js';
+import { MESSAGES, sendMessage } from './messages.js';
+import { PROVIDERS, resolveProviderConfig } from './providers.js';
+import { resolvePolicy } from './policy.js';
+import { resolveSenderLists, parseSenderList } from './senders.js';
+import { loadSettings, sectionFields, exportSettings, importSettings } from './settings.js';
+
+document.addEventListener('DOMContentLoaded', function() {
+  const ruleListEl = document.getElementById('ruleList');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const resetRulesBtn = document.getElementById('resetRulesBtn');
+  const editorEl = document.getElementById('ruleEditor');
+  const editorTitleEl = document.getElementById('ruleEditorTitle');
+  const errorsEl = document.getElementById('ruleErrors');
+  const saveRuleBtn = document.getElementById('saveRuleBtn');
+  const cancelRuleBtn = document.getElementById('cancelRuleBtn');
+
+  const fields = {
+    name: document.getElementById('ruleName'),
+    text: document.getElementById('ruleText'),
+    subject: document.getElementById('ruleSubject'),
+    body: document.getElementById('ruleBody'),
+    sender: document.getElementById('ruleSender'),
+    tag: document.getElementById('ruleTag'),
+    summary: document.getElementById('ruleSummary'),
+    overrideAI: document.getElementById('ruleOverrideAI')
+  };
+
+  const buttonSelects = [
+    document.getElementById('button1'),
+    document.getElementById('button2')
+  ];
+  const saveButtonsBtn = document.getElementById('saveButtonsBtn');
+
+  const BUTTON_CHOICES = {
+    '': 'None',
+    markRead: 'Mark as read',
+    archive: 'Archive',
+    snooze: 'Snooze 1h',
+    retag: 'Wrong tag?',
+    mute: 'Mute sender'
+  };
+
+  const digestEnabledInput = document.getElementById('digestEnabled');
+  const digestFrequencySelect = document.getElementById('digestFrequency');
+  const digestWeekdaySelect = document.getElementById('digestWeekday');
+  const digestTimeInput = document.getElementById('digestTime');
+  const tagDeliveryEl = document.getElementById('tagDelivery');
+  const saveDigestBtn = document.getElementById('saveDigestBtn');
+
+  const DELIVERY_LABELS = {
+    immediate: 'Notify immediately',
+    digest: 'Digest only',
+    both: 'Both'
+  };
+
+  const generalErrorsEl = document.getElementById('generalErrors');
+  const generalFieldsEl = document.getElementById('generalFields');
+  const saveGeneralBtn = document.getElementById('saveGeneralBtn');
+
+  const aiErrorsEl = document.getElementById('aiErrors');
+  const aiProviderSelect = document.getElementById('aiProvider');
+  const aiModelInput = document.getElementById('aiModel');
+  const aiBaseUrlInput = document.getElementById('aiBaseUrl');
+  const aiApiKeyInput = document.getElementById('aiApiKey');
+  const aiFieldsEl = document.getElementById('aiFields');
+  const saveAiBtn = document.getElementById('saveAiBtn');
+  const testAiBtn = document.getElementById('testAiBtn');
+  const testAiResultEl = document.getElementById('testAiResult');
+
+  const notificationErrorsEl = document.getElementById('notificationErrors');
+  const quietEnabledInput = document.getElementById('quietEnabled');
+  const quietStartInput = document.getElementById('quietStart');
+  const quietEndInput = document.getElementById('quietEnd');
+  const quietDaysEl = document.getElementById('quietDays');
+  const tagPoliciesEl = document.getElementById('tagPolicies');
+  const vipSendersInput = document.getElementById('vipSenders');
+  const mutedSendersInput = document.getElementById('mutedSenders');
+  const saveNotificationsBtn = document.getElementById('saveNotificationsBtn');
+
+  const privacyErrorsEl = document.getElementById('privacyErrors');
+  const privacyFieldsEl = document.getElementById('privacyFields');
+  const savePrivacyBtn = document.getElementById('savePrivacyBtn');
+
+  const importErrorsEl = document.getElementById('importErrors');
+  const exportSecretsInput = document.getElementById('exportSecrets');
+  const exportBtn = document.getElementById('exportBtn');
+  const importBtn = document.getElementById('importBtn');
+  const importFileInput = document.getElementById('importFile');
+
+  const vaultErrorsEl = document.getElementById('vaultErrors');
+  const vaultStateEl = document.getElementById('vaultState');
+  const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+  const vaultConfirmGroupEl = document.getElementById('vaultConfirmGroup');
+  const vaultConfirmInput = document.getElementById('vaultConfirm');
+  const enableVaultBtn = document.getElementById('enableVaultBtn');
+  const unlockVaultBtn = document.getElementById('unlockVaultBtn');
+  const lockVaultBtn = document.getElementById('lockVaultBtn');
+  const disableVaultBtn = document.getElementById('disableVaultBtn');
+  const forgetErrorsEl = document.getElementById('forgetErrors');
+  const forgetBtn = document.getElementById('forgetBtn');
+
+  const accountListEl = document.getElementById('accountList');
+  const accountErrorsEl = document.getElementById('accountErrors');
+  const addAccountBtn = document.getElementById('addAccountBtn');
+
+  const profileAccountSelect = document.getElementById('profileAccount');
+  const profileScopeHintEl = document.getElementById('profileScopeHint');
+  const sharedProfilesBtn = document.getElementById('sharedProfilesBtn');
+  const profileListEl = document.getElementById('profileList');
+  const addProfileBtn = document.getElementById('addProfileBtn');
+  const profileEditorEl = document.getElementById('profileEditor');
+  const profileEditorTitleEl = document.getElementById('profileEditorTitle');
+  const profileErrorsEl = document.getElementById('profileErrors');
+  const profileNameInput = document.getElementById('profileName');
+  const profileQueryInput = document.getElementById('profileQuery');
+  const labelPickerEl = document.getElementById('labelPicker');
+  const profileTagPoliciesEl = document.getElementById('profileTagPolicies');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const cancelProfileBtn = document.getElementById('cancelProfileBtn');
+
+  const PROFILE_POLICY_LABELS = {
+    '': 'Use global setting',
+    interrupt: 'Always interrupt',
+    normal: 'Normal',
+    silent: 'Silent',
+    suppress: 'Don\'t notify'
+  };
+
+  let currentSettings = {}; // validated by the settings schema
+  let accounts = [];
+  let profiles = [];
+  let profileAccountId = ''; // '' edits the profiles shared by all accounts
+  const labelsByAccount = {}; // fetched once per account, when the editor first opens
+  let editingProfileIndex = null;
+
+  let rules = [];
+  let editingIndex = null; // null when adding a new rule
+
+  /* ---------- Rules list ---------- */
+
+  function sortRules() {
+    rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  // List order is the source of truth; rewrite priorities to match it
+  async function persist() {
+    rules.forEach((rule, index) => {
+      rule.priority = (rules.length - index) * 10;
+    });
+    await saveRules(rules);
+    renderRules();
+  }
+
+  function renderRules() {
+    ruleListEl.textContent = '';
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement('li');
+      item.className = rule.enabled ? 'rule-item' : 'rule-item disabled';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = 'Enabled';
+      toggle.addEventListener('change', async () => {
+        rule.enabled = toggle.checked;
+        await persist();
+      });
+
+      const name = document.createElement('span');
+      name.className = 'rule-name';
+      name.textContent = rule.name;
+
+      const tag = document.createElement('span');
+      tag.className = 'rule-tag';
+      tag.textContent = [rule.tag, rule.overrideAI ? 'Overrides AI' : ''].filter(Boolean).join(' · ');
+
+      item.append(
+        toggle,
+        name,
+        tag,
+        actionButton('↑', 'Move up', () => move(index, -1), index === 0),
+        actionButton('↓', 'Move down', () => move(index, 1), index === rules.length - 1),
+        actionButton('Edit', 'Edit rule', () => openEditor(index)),
+        actionButton('Delete', 'Delete rule', () => remove(index))
+      );
+
+      ruleListEl.appendChild(item);
+    });
+  }
+
+  function actionButton(label, title, onClick, disabled = false) {
+    const btn = document.createElement('button');
+    btn.className = 'icon-btn';
+    btn.textContent = label;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  async function move(index, offset) {
+    const [rule] = rules.splice(index, 1);
+    rules.splice(index + offset, 0, rule);
+    await persist();
+  }
+
+  async function remove(index) {
+    if (confirm(`Delete rule "${rules[index].name}"?`)) {
+      rules.splice(index, 1);
+      await persist();
+    }
+  }
+
+  /* ---------- Editor ---------- */
+
+  function openEditor(index) {
+    editingIndex = index;
+    const rule = index === null ? { match: {} } : rules[index];
+
+    editorTitleEl.textContent = index === null ? 'Add Rule' : 'Edit Rule';
+    fields.name.value = rule.name || '';
+    fields.text.value = rule.match.text || '';
+    fields.subject.value = rule.match.subject || '';
+    fields.body.value = rule.match.body || '';
+    fields.sender.value = rule.match.sender || '';
+    fields.tag.value = rule.tag || '';
+    fields.summary.value = rule.summary || '';
+    fields.overrideAI.checked = rule.overrideAI === true;
+
+    errorsEl.hidden = true;
+    editorEl.hidden = false;
+    fields.name.focus();
+  }
+
+  function closeEditor() {
+    editorEl.hidden = true;
+    editingIndex = null;
+  }
+
+  function readEditor() {
+    const match = {};
+    ['text', 'subject', 'body', 'sender'].forEach(field => {
+      const value = fields[field].value.trim();
+      if (value) match[field] = value;
+    });
+
+    return {
+      name: fields.name.value.trim(),
+      match,
+      tag: fields.tag.value || null,
+      summary: fields.summary.value.trim(),
+      overrideAI: fields.overrideAI.checked
+    };
+  }
+
+  function showErrors(errors) {
+    errorsEl.textContent = '';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      errorsEl.appendChild(item);
+    });
+    errorsEl.hidden = false;
+  }
+
+  saveRuleBtn.addEventListener('click', async function() {
+    const draft = readEditor();
+    const errors = validateRule(draft);
+
+    if (errors.length) {
+      showErrors(errors);
+      return;
+    }
+
+    if (editingIndex === null) {
+      // New rules go to the top so they take effect over defaults
+      rules.unshift({ id: `custom-${Date.now()}`, enabled: true, ...draft });
+    } else {
+      rules[editingIndex] = { ...rules[editingIndex], ...draft };
+    }
+
+    try {
+      await persist();
+      closeEditor();
+    } catch (error) {
+      console.error('Error saving rule:', error);
+      showErrors(['Could not save rule.']);
+    }
+  });
+
+  cancelRuleBtn.addEventListener('click', closeEditor);
+
+  addRuleBtn.addEventListener('click', function() {
+    openEditor(null);
+  });
+
+  resetRulesBtn.addEventListener('click', async function() {
+    if (confirm('Replace all rules with the built-in defaults?')) {
+      await resetRules();
+      await loadRulesList();
+    }
+  });
+
+  /* ---------- Saving settings ---------- */
+
+  function showErrorList(listEl, errors) {
+    listEl.textContent = '';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      listEl.appendChild(item);
+    });
+    listEl.hidden = false;
+  }
+
+  function flashSaved(button) {
+    const label = button.textContent;
+    button.textContent = 'Saved!';
+    setTimeout(() => {
+      button.textContent = label;
+    }, 1500);
+  }
+
+  // The background validates against the schema and lists every invalid field
+  async function saveSettingsPatch(patch, button, errorsEl = null) {
+    if (errorsEl) errorsEl.hidden = true;
+    try {
+      const { settings } = await sendMessage(MESSAGES.UPDATE_SETTINGS, { settings: patch });
+      currentSettings = settings;
+      flashSaved(button);
+      return true;
+    } catch (error) {
+      if (errorsEl) {
+        showErrorList(errorsEl, error.message.split('\n'));
+      } else {
+        console.error('Error saving settings:', error);
+      }
+      return false;
+    }
+  }
+
+  /* ---------- Schema fields ---------- */
+
+  const schemaInputs = {}; // "privacy.useAI" -> { input, field }
+
+  function renderSchemaFields(section, container) {
+    sectionFields(section).forEach(([path, field]) => {
+      const id = `setting-${path.replace(/\./g, '-')}`;
+      const group = document.createElement('div');
+      const label = document.createElement('label');
+      let input;
+
+      if (field.type === 'boolean') {
+        group.className = 'input-group checkbox-group';
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        label.append(input, field.label);
+      } else {
+        group.className = 'input-group';
+        if (field.type === 'enum') {
+          input = document.createElement('select');
+          field.values.forEach(value => input.add(new Option(value, value)));
+        } else if (field.type === 'string') {
+          input = document.createElement('textarea');
+          input.rows = 3;
+          input.maxLength = field.maxLength;
+        } else {
+          input = document.createElement('input');
+          input.type = 'number';
+          input.min = field.min;
+          input.max = field.max;
+        }
+        label.htmlFor = id;
+        label.textContent = field.label;
+      }
+
+      input.id = id;
+      group.append(label);
+      if (field.type !== 'boolean') group.append(input);
+
+      if (field.hint) {
+        const hint = document.createElement('div');
+        hint.className = 'input-hint';
+        hint.textContent = field.hint;
+        group.append(hint);
+      }
+
+      container.appendChild(group);
+      schemaInputs[path] = { input, field };
+    });
+  }
+
+  function showSchemaFields(settings) {
+    Object.entries(schemaInputs).forEach(([path, { input, field }]) => {
+      const value = path.split('.').reduce((node, key) => node?.[key], settings);
+      if (field.type === 'boolean') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  // A patch of top-level settings; grouped fields are merged into their group
+  function readSchemaFields(section) {
+    const patch = {};
+    sectionFields(section).forEach(([path, field]) => {
+      const { input } = schemaInputs[path];
+      const value = field.type === 'boolean' ? input.checked
+        : field.type === 'number' ? Number(input.value)
+        : input.value;
+
+      const [key, child] = path.split('.');
+      patch[key] = child ? { ...currentSettings[key], ...patch[key], [child]: value } : value;
+    });
+    return patch;
+  }
+
+  renderSchemaFields('general', generalFieldsEl);
+  renderSchemaFields('ai', aiFieldsEl);
+  renderSchemaFields('privacy', privacyFieldsEl);
+
+  saveGeneralBtn.addEventListener('click', function() {
+    saveSettingsPatch(readSchemaFields('general'), saveGeneralBtn, generalErrorsEl);
+  });
+
+  savePrivacyBtn.addEventListener('click', function() {
+    saveSettingsPatch(readSchemaFields('privacy'), savePrivacyBtn, privacyErrorsEl);
+  });
+
+  /* ---------- AI provider ---------- */
+
+  Object.entries(PROVIDERS).forEach(([id, provider]) => {
+    aiProviderSelect.add(new Option(provider.label, id));
+  });
+
+  function showProviderConfig(providerId) {
+    const config = resolveProviderConfig({ ...currentSettings, aiProvider: providerId });
+    const stored = currentSettings.aiProviders?.[providerId] || {};
+
+    aiProviderSelect.value = config.id;
+    aiModelInput.value = stored.model || '';
+    aiModelInput.placeholder = config.provider.defaultModel || 'deployment name';
+    aiBaseUrlInput.value = stored.baseUrl || '';
+    aiBaseUrlInput.placeholder = config.provider.defaultBaseUrl || 'https://<resource>.openai.azure.com';
+    aiApiKeyInput.value = config.apiKey || '';
+  }
+
+  function readProviderSettings() {
+    const providerId = aiProviderSelect.value;
+    return {
+      aiProvider: providerId,
+      aiProviders: {
+        ...currentSettings.aiProviders,
+        [providerId]: {
+          apiKey: aiApiKeyInput.value.trim() || null,
+          model: aiModelInput.value.trim() || null,
+          baseUrl: aiBaseUrlInput.value.trim() || null
+        }
+      }
+    };
+  }
+
+  aiProviderSelect.addEventListener('change', function() {
+    showProviderConfig(aiProviderSelect.value);
+  });
+
+  saveAiBtn.addEventListener('click', function() {
+    saveSettingsPatch({ ...readProviderSettings(), ...readSchemaFields('ai') }, saveAiBtn, aiErrorsEl);
+  });
+
+  testAiBtn.addEventListener('click', async function() {
+    testAiBtn.disabled = true;
+    testAiResultEl.className = 'test-result';
+    testAiResultEl.textContent = 'Testing…';
+
+    try {
+      const result = await sendMessage(MESSAGES.TEST_AI_CONNECTION, { settings: readProviderSettings() });
+      testAiResultEl.textContent = `${result.provider} · ${result.model} answered in ${result.latencyMs} ms`;
+    } catch (error) {
+      testAiResultEl.className = 'test-result failed';
+      testAiResultEl.textContent = error.message;
+    } finally {
+      testAiBtn.disabled = false;
+    }
+  });
+
+  /* ---------- Quiet hours, tag policy and senders ---------- */
+
+  const dayInputs = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((name, day) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = String(day);
+    label.append(input, name);
+    quietDaysEl.appendChild(label);
+    return input;
+  });
+
+  const tagPolicySelects = {};
+  TAGS.forEach(tag => {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+
+    const label = document.createElement('label');
+    label.textContent = tag;
+
+    const select = document.createElement('select');
+    Object.entries(PROFILE_POLICY_LABELS)
+      .filter(([value]) => value)
+      .forEach(([value, text]) => select.add(new Option(text, value)));
+
+    group.append(label, select);
+    tagPoliciesEl.appendChild(group);
+    tagPolicySelects[tag] = select;
+  });
+
+  function showNotificationSettings(settings) {
+    const policy = resolvePolicy(settings);
+    quietEnabledInput.checked = policy.quietHours.enabled;
+    quietStartInput.value = policy.quietHours.start;
+    quietEndInput.value = policy.quietHours.end;
+    dayInputs.forEach((input, day) => {
+      input.checked = policy.quietHours.days.includes(day);
+    });
+    TAGS.forEach(tag => {
+      tagPolicySelects[tag].value = policy.tagPolicy[tag];
+    });
+
+    const lists = resolveSenderLists(settings);
+    vipSendersInput.value = lists.vip.join('\n');
+    mutedSendersInput.value = lists.muted.join('\n');
+  }
+
+  saveNotificationsBtn.addEventListener('click', function() {
+    const vip = parseSenderList(vipSendersInput.value);
+    const muted = parseSenderList(mutedSendersInput.value);
+    const invalid = [...vip.invalid, ...muted.invalid];
+    if (invalid.length) {
+      showErrorList(notificationErrorsEl, invalid.map(entry => `Not a valid address or domain: ${entry}`));
+      return;
+    }
+
+    const tagPolicy = {};
+    TAGS.forEach(tag => {
+      tagPolicy[tag] = tagPolicySelects[tag].value;
+    });
+
+    saveSettingsPatch({
+      notificationPolicy: {
+        quietHours: {
+          enabled: quietEnabledInput.checked,
+          start: quietStartInput.value,
+          end: quietEndInput.value,
+          days: dayInputs.filter(input => input.checked).map(input => Number(input.value))
+        },
+        tagPolicy
+      },
+      senderLists: { vip: vip.valid, muted: muted.valid }
+    }, saveNotificationsBtn, notificationErrorsEl);
+  });
+
+  /* ---------- Notification buttons ---------- */
+
+  buttonSelects.forEach(select => {
+    Object.entries(BUTTON_CHOICES).forEach(([value, label]) => {
+      select.add(new Option(label, value));
+    });
+  });
+
+  function showButtons(settings) {
+    buttonSelects.forEach((select, i) => {
+      select.value = settings.notificationButtons[i] || '';
+    });
+  }
+
+  saveButtonsBtn.addEventListener('click', function() {
+    saveSettingsPatch({
+      notificationButtons: [...new Set(buttonSelects.map(select => select.value).filter(Boolean))]
+    }, saveButtonsBtn);
+  });
+
+  /* ---------- Digest ---------- */
+
+  const tagDeliverySelects = {};
+
+  TAGS.forEach(tag => {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+
+    const label = document.createElement('label');
+    label.textContent = tag;
+
+    const select = document.createElement('select');
+    Object.entries(DELIVERY_LABELS).forEach(([value, text]) => {
+      select.add(new Option(text, value));
+    });
+
+    group.append(label, select);
+    tagDeliveryEl.appendChild(group);
+    tagDeliverySelects[tag] = select;
+  });
+
+  function updateWeekdayVisibility() {
+    digestWeekdaySelect.parentElement.hidden = digestFrequencySelect.value !== 'weekly';
+  }
+
+  digestFrequencySelect.addEventListener('change', updateWeekdayVisibility);
+
+  function showDigest(settings) {
+    const { digest } = settings;
+
+    digestEnabledInput.checked = digest.enabled;
+    digestFrequencySelect.value = digest.frequency;
+    digestWeekdaySelect.value = String(digest.weekday);
+    digestTimeInput.value = digest.time;
+    TAGS.forEach(tag => {
+      tagDeliverySelects[tag].value = digest.tagDelivery[tag];
+    });
+    updateWeekdayVisibility();
+  }
+
+  // Saving reschedules the digest alarm along with the other settings
+  saveDigestBtn.addEventListener('click', function() {
+    const tagDelivery = {};
+    TAGS.forEach(tag => {
+      tagDelivery[tag] = tagDeliverySelects[tag].value;
+    });
+
+    saveSettingsPatch({
+      digest: {
+        enabled: digestEnabledInput.checked,
+        frequency: digestFrequencySelect.value,
+        weekday: Number(digestWeekdaySelect.value),
+        time: digestTimeInput.value || '18:00',
+        tagDelivery
+      }
+    }, saveDigestBtn);
+  });
+
+  /* ---------- Accounts ---------- */
+
+  function showAccountError(message) {
+    accountErrorsEl.textContent = '';
+    const item = document.createElement('li');
+    item.textContent = message;
+    accountErrorsEl.appendChild(item);
+    accountErrorsEl.hidden = false;
+  }
+
+  async function runAccountAction(action, payload = {}) {
+    accountErrorsEl.hidden = true;
+    try {
+      await sendMessage(action, payload);
+    } catch (error) {
+      showAccountError(error.message);
+    }
+    await loadAccounts();
+  }
+
+  function renderAccounts() {
+    accountListEl.textContent = '';
+
+    if (!accounts.length) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-item';
+      empty.textContent = 'No accounts yet.';
+      accountListEl.appendChild(empty);
+    }
+
+    accounts.forEach(account => {
+      const item = document.createElement('li');
+      item.className = account.enabled ? 'rule-item' : 'rule-item disabled';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = account.enabled;
+      toggle.title = 'Notify for this account';
+      toggle.addEventListener('change', () => {
+        runAccountAction(MESSAGES.UPDATE_ACCOUNT, { accountId: account.id, enabled: toggle.checked });
+      });
+
+      const name = document.createElement('span');
+      name.className = 'rule-name';
+      name.textContent = account.email;
+
+      item.append(toggle, name);
+
+      if (account.needsReauth) {
+        const status = document.createElement('span');
+        status.className = 'rule-tag';
+        status.textContent = 'Signed out';
+        item.append(
+          status,
+          actionButton('Reconnect', 'Sign in again', () =>
+            runAccountAction(MESSAGES.RECONNECT_ACCOUNT, { accountId: account.id }))
+        );
+      }
+
+      item.append(actionButton('Remove', 'Remove account', () => {
+        if (confirm(`Remove ${account.email}? Its processed-mail state is deleted too.`)) {
+          runAccountAction(MESSAGES.REMOVE_ACCOUNT, { accountId: account.id });
+        }
+      }));
+
+      accountListEl.appendChild(item);
+    });
+  }
+
+  async function loadAccounts() {
+    ({ accounts } = await sendMessage(MESSAGES.GET_ACCOUNTS));
+    renderAccounts();
+
+    profileAccountSelect.length = 1;
+    accounts.forEach(account => {
+      profileAccountSelect.add(new Option(account.email, account.id));
+    });
+    if (!accounts.some(account => account.id === profileAccountId)) {
+      profileAccountId = '';
+    }
+    profileAccountSelect.value = profileAccountId;
+    await loadProfiles();
+  }
+
+  addAccountBtn.addEventListener('click', function() {
+    runAccountAction(MESSAGES.ADD_ACCOUNT);
+  });
+
+  /* ---------- Watch profiles ---------- */
+
+  const profileTagSelects = {};
+  TAGS.forEach(tag => {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+
+    const label = document.createElement('label');
+    label.textContent = `${tag} notifications`;
+
+    const select = document.createElement('select');
+    Object.entries(PROFILE_POLICY_LABELS).forEach(([value, text]) => {
+      select.add(new Option(text, value));
+    });
+
+    group.append(label, select);
+    profileTagPoliciesEl.appendChild(group);
+    profileTagSelects[tag] = select;
+  });
+
+  function selectedAccount() {
+    return accounts.find(account => account.id === profileAccountId) || null;
+  }
+
+  // Editing an account's list gives that account its own copy
+  async function saveProfiles() {
+    const account = selectedAccount();
+
+    if (account) {
+      const { account: updated } = await sendMessage(MESSAGES.UPDATE_ACCOUNT, {
+        accountId: account.id,
+        settings: { ...account.settings, watchProfiles: profiles }
+      });
+      account.settings = updated.settings;
+    } else {
+      const { settings } = await sendMessage(MESSAGES.UPDATE_SETTINGS, { settings: { watchProfiles: profiles } });
+      currentSettings = settings;
+    }
+
+    renderProfiles();
+  }
+
+  function renderProfiles() {
+    profileListEl.textContent = '';
+
+    const account = selectedAccount();
+    const ownProfiles = Boolean(account?.settings?.watchProfiles);
+    profileScopeHintEl.hidden = !account;
+    profileScopeHintEl.textContent = ownProfiles
+      ? `${account?.email} uses its own profiles.`
+      : 'This account uses the shared profiles. Changing them here gives it its own copy.';
+    sharedProfilesBtn.hidden = !ownProfiles;
+
+    profiles.forEach((profile, index) => {
+      const item = document.createElement('li');
+      item.className = profile.enabled ? 'rule-item' : 'rule-item disabled';
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = profile.enabled;
+      toggle.title = 'Enabled';
+      toggle.addEventListener('change', async () => {
+        profile.enabled = toggle.checked;
+        await saveProfiles();
+      });
+
+      const name = document.createElement('span');
+      name.className = 'rule-name';
+      name.textContent = profile.name;
+
+      const query = document.createElement('span');
+      query.className = 'rule-tag';
+      query.textContent = profile.query;
+
+      item.append(
+        toggle,
+        name,
+        query,
+        actionButton('Edit', 'Edit profile', () => openProfileEditor(index)),
+        actionButton('Delete', 'Delete profile', () => removeProfile(index), profiles.length === 1)
+      );
+
+      profileListEl.appendChild(item);
+    });
+  }
+
+  async function removeProfile(index) {
+    if (confirm(`Delete profile "${profiles[index].name}"?`)) {
+      profiles.splice(index, 1);
+      await saveProfiles();
+    }
+  }
+
+  // Shared profiles pick labels from the first account
+  async function loadLabels(selectedIds) {
+    if (!labelsByAccount[profileAccountId]) {
+      let response;
+      try {
+        response = await sendMessage(MESSAGES.GET_LABELS, { accountId: profileAccountId || null });
+      } catch (error) {
+        labelPickerEl.textContent = `Could not load labels: ${error.message}`;
+        return;
+      }
+      labelsByAccount[profileAccountId] = response.labels.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    labelPickerEl.textContent = '';
+    labelsByAccount[profileAccountId].forEach(label => {
+      const item = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = label.id;
+      input.checked = selectedIds.includes(label.id);
+      item.append(input, label.name);
+      labelPickerEl.appendChild(item);
+    });
+  }
+
+  function openProfileEditor(index) {
+    editingProfileIndex = index;
+    const profile = index === null
+      ? { name: '', query: 'is:unread', labelIds: [], tagPolicy: {} }
+      : profiles[index];
+
+    profileEditorTitleEl.textContent = index === null ? 'Add Profile' : 'Edit Profile';
+    profileNameInput.value = profile.name;
+    profileQueryInput.value = profile.query;
+    TAGS.forEach(tag => {
+      profileTagSelects[tag].value = profile.tagPolicy[tag] || '';
+    });
+
+    profileErrorsEl.hidden = true;
+    profileEditorEl.hidden = false;
+    loadLabels(profile.labelIds).catch(error => {
+      labelPickerEl.textContent = `Could not load labels: ${error.message}`;
+    });
+  }
+
+  function showProfileErrors(errors) {
+    profileErrorsEl.textContent = '';
+    errors.forEach(message => {
+      const item = document.createElement('li');
+      item.textContent = message;
+      profileErrorsEl.appendChild(item);
+    });
+    profileErrorsEl.hidden = false;
+  }
+
+  saveProfileBtn.addEventListener('click', async function() {
+    const tagPolicy = {};
+    TAGS.forEach(tag => {
+      if (profileTagSelects[tag].value) tagPolicy[tag] = profileTagSelects[tag].value;
+    });
+
+    const draft = {
+      name: profileNameInput.value.trim(),
+      query: profileQueryInput.value.trim(),
+      labelIds: [...labelPickerEl.querySelectorAll('input:checked')].map(input => input.value),
+      tagPolicy
+    };
+
+    if (!draft.name || !draft.query) {
+      showProfileErrors(['Name and Gmail search are required.']);
+      return;
+    }
+
+    // Check the search against Gmail before saving it
+    saveProfileBtn.disabled = true;
+    try {
+      let response;
+      try {
+        response = await sendMessage(MESSAGES.VALIDATE_QUERY, {
+          accountId: profileAccountId || null,
+          query: draft.query,
+          labelIds: draft.labelIds
+        });
+      } catch (error) {
+        showProfileErrors([`Could not validate search: ${error.message}`]);
+        return;
+      }
+      if (!response.valid) {
+        showProfileErrors([`Gmail rejected this search: ${response.error}`]);
+        return;
+      }
+
+      if (editingProfileIndex === null) {
+        profiles.push({ id: `profile-${Date.now()}`, enabled: true, ...draft });
+      } else {
+        profiles[editingProfileIndex] = { ...profiles[editingProfileIndex], ...draft };
+      }
+
+      await saveProfiles();
+      profileEditorEl.hidden = true;
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      showProfileErrors(['Could not save profile.']);
+    } finally {
+      saveProfileBtn.disabled = false;
+    }
+  });
+
+  cancelProfileBtn.addEventListener('click', function() {
+    profileEditorEl.hidden = true;
+  });
+
+  addProfileBtn.addEventListener('click', function() {
+    openProfileEditor(null);
+  });
+
+  sharedProfilesBtn.addEventListener('click', async function() {
+    const account = selectedAccount();
+    if (!account) return;
+
+    const settings = { ...account.settings };
+    delete settings.watchProfiles;
+    await runAccountAction(MESSAGES.UPDATE_ACCOUNT, { accountId: account.id, settings });
+  });
+
+  profileAccountSelect.addEventListener('change', function() {
+    profileAccountId = profileAccountSelect.value;
+    profileEditorEl.hidden = true;
+    loadProfiles();
+  });
+
+  async function loadProfiles() {
+    const stored = selectedAccount()?.settings?.watchProfiles;
+    profiles = resolveWatchProfiles(stored ? { watchProfiles: stored } : currentSettings)
+      .map(profile => ({ ...profile }));
+    renderProfiles();
+  }
+
+  async function loadRulesList() {
+    try {
+      rules = await loadRules();
+      sortRules();
+      renderRules();
+    } catch (error) {
+      console.error('Error loading rules:', error);
+    }
+  }
+
+  /* ---------- Import & export ---------- */
+
+  exportBtn.addEventListener('click', function() {
+    const json = exportSettings(currentSettings, { includeSecrets: exportSecretsInput.checked, rules });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `smart-gmail-notifier-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  importBtn.addEventListener('click', function() {
+    importFileInput.click();
+  });
+
+  importFileInput.addEventListener('change', async function() {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    importErrorsEl.hidden = true;
+    let imported;
+    try {
+      imported = importSettings(await file.text(), currentSettings);
+    } catch (error) {
+      showErrorList(importErrorsEl, error.errors || [error.message]);
+      return;
+    }
+
+    const what = imported.rules ? 'settings and summary rules' : 'settings';
+    if (!confirm(`Replace your ${what} with the ones in ${file.name}?`)) return;
+
+    if (await saveSettingsPatch(imported.settings, importBtn, importErrorsEl)) {
+      if (imported.rules) {
+        await saveRules(imported.rules);
+        await loadRulesList();
+      }
+      await loadAllSettings();
+    }
+  });
+
+  /* ---------- Vault ---------- */
+
+  function showVault({ enabled, unlocked }) {
+    if (!enabled) {
+      vaultStateEl.textContent = 'Off: keys and history are stored unencrypted.';
+    } else {
+      vaultStateEl.textContent = unlocked
+        ? 'On and unlocked for this browser session.'
+        : 'On and locked. Email checks are paused until you unlock it.';
+    }
+
+    vaultConfirmGroupEl.hidden = enabled;
+    enableVaultBtn.hidden = enabled;
+    unlockVaultBtn.hidden = !enabled || unlocked;
+    lockVaultBtn.hidden = !unlocked;
+    disableVaultBtn.hidden = !enabled;
+    vaultPassphraseInput.value = '';
+    vaultConfirmInput.value = '';
+
+    // The stored key can't be shown or replaced while locked
+    const locked = enabled && !unlocked;
+    aiApiKeyInput.disabled = locked;
+    aiApiKeyInput.placeholder = locked ? 'Unlock the vault to edit' : 'sk-...';
+  }
+
+  // API keys appear or disappear with the lock, so settings are reloaded too
+  async function runVaultAction(action, payload = {}) {
+    vaultErrorsEl.hidden = true;
+    try {
+      const { status } = await sendMessage(action, payload);
+      showVault(status.vault);
+      await loadAllSettings();
+    } catch (error) {
+      console.error(`"${action}" failed:`, error);
+      showErrorList(vaultErrorsEl, [error.message]);
+    }
+  }
+
+  async function loadVault() {
+    try {
+      const { status } = await sendMessage(MESSAGES.GET_STATUS);
+      showVault(status.vault);
+    } catch (error) {
+      console.error('Error loading vault status:', error);
+    }
+  }
+
+  enableVaultBtn.addEventListener('click', function() {
+    if (vaultPassphraseInput.value !== vaultConfirmInput.value) {
+      showErrorList(vaultErrorsEl, ['The passphrases don\'t match']);
+      return;
+    }
+    runVaultAction(MESSAGES.ENABLE_VAULT, { passphrase: vaultPassphraseInput.value });
+  });
+
+  unlockVaultBtn.addEventListener('click', function() {
+    runVaultAction(MESSAGES.UNLOCK_VAULT, { passphrase: vaultPassphraseInput.value });
+  });
+
+  lockVaultBtn.addEventListener('click', function() {
+    runVaultAction(MESSAGES.LOCK_VAULT);
+  });
+
+  disableVaultBtn.addEventListener('click', function() {
+    if (!confirm('Store API keys and history unencrypted again?')) return;
+    runVaultAction(MESSAGES.DISABLE_VAULT, { passphrase: vaultPassphraseInput.value });
+  });
+
+  // The extension restarts on success, closing this page
+  forgetBtn.addEventListener('click', async function() {
+    if (!confirm('Sign out of every account and delete all history, API keys and settings?')) return;
+
+    forgetErrorsEl.hidden = true;
+    forgetBtn.disabled = true;
+    try {
+      await sendMessage(MESSAGES.FORGET_EVERYTHING);
+    } catch (error) {
+      console.error('Forget everything failed:', error);
+      showErrorList(forgetErrorsEl, [error.message]);
+      forgetBtn.disabled = false;
+    }
+  });
+
+  // Every section shows the same validated settings
+  async function loadAllSettings() {
+    currentSettings = await loadSettings();
+    showSchemaFields(currentSettings);
+    showProviderConfig(currentSettings.aiProvider);
+    showNotificationSettings(currentSettings);
+    showButtons(currentSettings);
+    showDigest(currentSettings);
+    await loadProfiles();
+  }
+
+  // Load initial data
+  loadAllSettings().then(loadAccounts);
+  loadRulesList();
+  loadVault();
+});
@@ -0,0 +1,125 @@
+/* =========================
+   Notification Policy
+   Decides whether a notification is shown now, held until
+   quiet hours end, or suppressed, and how loudly it is shown.
+========================= */
+
+const HELD_KEY = 'held_notifications';
+export const QUIET_END_ALARM = 'quiet-hours-end';
+
+// interrupt ignores quiet hours and stays on screen until dismissed
+export const TAG_POLICIES = ['interrupt', 'normal', 'silent', 'suppress'];
+
+export const DEFAULT_POLICY = {
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    days: [0, 1, 2, 3, 4, 5, 6] // days a quiet window starts on, 0 = Sunday
+  },
+  tagPolicy: {
+    'Urgent': 'interrupt',
+    'Reply Required': 'normal',
+    'FYI': 'silent',
+    'No Reply Needed': 'suppress'
+  }
+};
+
+// A watch profile's tag overrides win over the global policy
+export function resolvePolicy(settings = {}, watchProfile = null) {
+  const stored = settings.notificationPolicy || {};
+  return {
+    quietHours: { ...DEFAULT_POLICY.quietHours, ...stored.quietHours },
+    tagPolicy: { ...DEFAULT_POLICY.tagPolicy, ...stored.tagPolicy, ...watchProfile?.tagPolicy }
+  };
+}
+
+/* ---------------- QUIET HOURS ---------------- */
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const yesterday = (today + 6) % 7;
+
+  if (start === end) return false;
+
+  if (start < end) {
+    return quietHours.days.includes(today) && current >= start && current < end;
+  }
+
+  // Window crosses midnight: the early-morning part belongs to yesterday's window
+  if (current >= start) return quietHours.days.includes(today);
+  if (current < end) return quietHours.days.includes(yesterday);
+  return false;
+}
+
+export function quietHoursEnd(quietHours, now = new Date()) {
+  const end = new Date(now);
+  const [hours, minutes] = quietHours.end.split(':').map(Number);
+  end.setHours(hours, minutes, 0, 0);
+
+  if (end <= now) {
+    end.setDate(end.getDate() + 1);
+  }
+  return end.getTime();
+}
+
+/* ---------------- DECISION ---------------- */
+
+// Returns { action: 'show' | 'hold' | 'suppress', options }
+export function decide(policy, tag, now = new Date()) {
+  const mode = policy.tagPolicy[tag] || 'normal';
+
+  if (mode === 'suppress') {
+    return { action: 'suppress', options: {} };
+  }
+
+  if (mode === 'interrupt') {
+    return { action: 'show', options: notificationOptions(mode) };
+  }
+
+  if (isQuietTime(policy.quietHours, now)) {
+    return { action: 'hold', options: {} };
+  }
+
+  return { action: 'show', options: notificationOptions(mode) };
+}
+
+export function notificationOptions(mode) {
+  if (mode === 'interrupt') {
+    return { priority: 2, requireInteraction: true, silent: false };
+  }
+  if (mode === 'silent') {
+    return { priority: -1, requireInteraction: false, silent: true };
+  }
+  return { priority: 0, requireInteraction: false, silent: false };
+}
+
+/* ---------------- HELD QUEUE ---------------- */
+
+export async function holdNotification(messageId, quietHours) {
+  const data = await chrome.storage.local.get([HELD_KEY]);
+  const held = data[HELD_KEY] || [];
+
+  if (!held.includes(messageId)) {
+    held.push(messageId);
+    await chrome.storage.local.set({ [HELD_KEY]: held });
+  }
+
+  chrome.alarms.create(QUIET_END_ALARM, { when: quietHoursEnd(quietHours) });
+}
+
+export async function takeHeldNotifications() {
+  const data = await chrome.storage.local.get([HELD_KEY]);
+  await chrome.storage.local.set({ [HELD_KEY]: [] });
+  return data[HELD_KEY] || [];
+}
@@ -1,72 +1,566 @@
+import { PROVIDERS, resolveProviderConfig } from './providers.js';
+import { TAGS } from './fallback.js';
+import { resolvePolicy } from './policy.js';
+import { resolveSenderLists, parseSenderList } from './senders.js';
+import { formatWhen } from './extract.js';
+import { MESSAGES, sendMessage, subscribeToStatus } from './messages.js';
+import { describeRedactions } from './redact.js';
+import { loadSettings as loadStoredSettings } from './settings.js';
+
 document.addEventListener('DOMContentLoaded', function() {
   const statusEl = document.getElementById('status');
   const lastCheckEl = document.getElementById('lastCheck');
+  const nextCheckEl = document.getElementById('nextCheck');
   const processedCountEl = document.getElementById('processedCount');
+  const accountsEl = document.getElementById('accounts');
+  const healthItemEl = document.getElementById('healthItem');
+  const healthEl = document.getElementById('health');
+  const quotaEl = document.getElementById('quota');
+  const errorItemEl = document.getElementById('errorItem');
+  const lastErrorEl = document.getElementById('lastError');
   const toggleBtn = document.getElementById('toggleBtn');
+  const checkNowBtn = document.getElementById('checkNowBtn');
   const clearBtn = document.getElementById('clearBtn');
+  const aiProviderSelect = document.getElementById('aiProvider');
+  const aiModelInput = document.getElementById('aiModel');
+  const aiBaseUrlInput = document.getElementById('aiBaseUrl');
   const aiApiKeyInput = document.getElementById('aiApiKey');
+  const testAiBtn = document.getElementById('testAiBtn');
+  const testAiResultEl = document.getElementById('testAiResult');
   const saveBtn = document.getElementById('saveBtn');
+  const optionsLink = document.getElementById('optionsLink');
+  const signOutLink = document.getElementById('signOutLink');
+  const vaultRowEl = document.getElementById('vaultRow');
+  const vaultPassphraseInput = document.getElementById('vaultPassphrase');
+  const unlockBtn = document.getElementById('unlockBtn');
+  const lockLink = document.getElementById('lockLink');
+  const historyListEl = document.getElementById('historyList');
+  const accuracyEl = document.getElementById('accuracy');
+  const filterTagSelect = document.getElementById('filterTag');
+  const filterDateSelect = document.getElementById('filterDate');
+  const filterSenderInput = document.getElementById('filterSender');
+
+  const quietEnabledInput = document.getElementById('quietEnabled');
+  const quietStartInput = document.getElementById('quietStart');
+  const quietEndInput = document.getElementById('quietEnd');
+  const quietDaysEl = document.getElementById('quietDays');
+  const tagPoliciesEl = document.getElementById('tagPolicies');
+  const vipSendersInput = document.getElementById('vipSenders');
+  const mutedSendersInput = document.getElementById('mutedSenders');
+  const senderErrorsEl = document.getElementById('senderErrors');
+  const saveErrorsEl = document.getElementById('saveErrors');
+
+  const POLICY_LABELS = {
+    interrupt: 'Always interrupt',
+    normal: 'Normal',
+    silent: 'Silent',
+    suppress: 'Don\'t notify'
+  };
+
+  const SOURCE_LABELS = {
+    ai: 'AI',
+    fallback: 'Keywords'
+  };
+
+  // Set when opened from a notification's "Wrong tag?" button
+  const correctId = new URLSearchParams(location.search).get('correct');
+
+  // Pushed by the background over the status port whenever anything changes
+  function renderStatus(status) {
+    if (status.isRunning) {
+      statusEl.textContent = status.isChecking ? 'Checking…' : 'Active';
+      statusEl.className = 'status-value status-active';
+      toggleBtn.textContent = 'Stop';
+    } else {
+      statusEl.textContent = status.isChecking ? 'Checking…' : 'Inactive';
+      statusEl.className = 'status-value status-inactive';
+      toggleBtn.textContent = 'Start';
+    }
+    checkNowBtn.disabled = status.isChecking;
+
+    if (status.lastCheck) {
+      const lastCheck = new Date(status.lastCheck);
+      lastCheckEl.textContent = lastCheck.toLocaleString();
+    } else {
+      lastCheckEl.textContent = 'Never';
+    }
+
+    nextCheckEl.textContent = status.nextCheck
+      ? new Date(status.nextCheck).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+      : 'Not scheduled';
+
+    processedCountEl.textContent = status.processedCount || 0;
+
+    // Polling is on but no check has succeeded for several intervals
+    healthItemEl.hidden = !status.stale;
+    healthEl.textContent = status.lastCheck
+      ? `No successful check since ${new Date(status.lastCheck).toLocaleString()}`
+      : 'No successful check yet';
+
+    errorItemEl.hidden = !status.lastError;
+    if (status.lastError) {
+      const { message, account, at } = status.lastError;
+      const when = new Date(at).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      lastErrorEl.textContent = `${account ? `${account}: ` : ''}${message} (${when})`;
+    }
+
+    const accounts = status.accounts || [];
+    const signedOut = accounts.filter(account => account.needsReauth).length;
+    accountsEl.textContent = signedOut
+      ? `${accounts.length} (${signedOut} signed out)`
+      : String(accounts.length);
+    accountsEl.title = accounts.map(account => account.email).join('\n');
+    signOutLink.hidden = !accounts.length;
+
+    quotaEl.textContent = `${status.quota.units.toLocaleString()} units`;
+    quotaEl.title = `${status.quota.requests.toLocaleString()} requests`;
+
+    // A locked vault hides the stored key, so it can't be edited here
+    const locked = status.vault.enabled && !status.vault.unlocked;
+    vaultRowEl.hidden = !locked;
+    lockLink.hidden = !status.vault.unlocked;
+    aiApiKeyInput.disabled = locked;
+    aiApiKeyInput.placeholder = locked ? 'Unlock the vault to edit' : 'sk-...';
+  }
+
+  function showStatusError(error) {
+    console.error('Error loading status:', error);
+    statusEl.textContent = 'Error';
+    errorItemEl.hidden = false;
+    lastErrorEl.textContent = error.message;
+  }
+
+  let currentSettings = {};
+
+  Object.entries(PROVIDERS).forEach(([id, provider]) => {
+    aiProviderSelect.add(new Option(provider.label, id));
+  });
+
+  function showProviderConfig(providerId) {
+    const config = resolveProviderConfig({ ...currentSettings, aiProvider: providerId });
+    const stored = currentSettings.aiProviders?.[providerId] || {};
+
+    aiProviderSelect.value = config.id;
+    aiModelInput.value = stored.model || '';
+    aiModelInput.placeholder = config.provider.defaultModel || 'deployment name';
+    aiBaseUrlInput.value = stored.baseUrl || '';
+    aiBaseUrlInput.placeholder = config.provider.defaultBaseUrl || 'https://<resource>.openai.azure.com';
+    aiApiKeyInput.value = config.apiKey || '';
+  }
+
+  function renderAccuracy(stats) {
+    if (stats.accuracy === null) {
+      accuracyEl.textContent = 'Accuracy (7 days): no emails yet';
+      return;
+    }
+    accuracyEl.textContent =
+      `Accuracy (7 days): ${stats.accuracy}% · ${stats.corrected} corrected of ${stats.total}`;
+  }
+
+  function renderHistoryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.dataset.id = entry.id;
+
+    const from = document.createElement('div');
+    from.className = 'history-from';
+    from.textContent = entry.from?.name || entry.from?.email || 'Unknown';
+    from.title = entry.from?.email || '';
+
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    const source = entry.ruleId
+      ? `Rule: ${entry.ruleId}`
+      : SOURCE_LABELS[entry.source] || '';
+    meta.textContent = [formatDate(entry.receivedAt || entry.processedAt), entry.account, source]
+      .filter(Boolean)
+      .join(' · ');
+    from.appendChild(meta);
+
+    const summary = document.createElement('div');
+    summary.className = 'history-summary';
+    summary.textContent = entry.summary;
+    summary.title = entry.subject || '';
+
+    // Click-through to the Gmail thread
+    const link = document.createElement('div');
+    link.className = 'history-link';
+    link.append(from, summary);
+
+    const extracted = renderExtracted(entry.extracted);
+    link.addEventListener('click', function() {
+      sendMessage(MESSAGES.EMAIL_ACTION, { type: 'open', messageId: entry.id })
+        .catch(error => console.error('Error opening email:', error));
+    });
+
+    const tagSelect = document.createElement('select');
+    TAGS.forEach(tag => tagSelect.add(new Option(tag, tag)));
+    tagSelect.value = entry.tag;
+    tagSelect.title = entry.corrected ? `Corrected from ${entry.originalTag}` : 'Tag';
+
+    const scopeSelect = document.createElement('select');
+    scopeSelect.add(new Option('This email', 'message'));
+    scopeSelect.add(new Option('Always for sender', 'sender'));
+    scopeSelect.add(new Option('Always for domain', 'domain'));
+    scopeSelect.title = 'Apply correction to';
+
+    tagSelect.addEventListener('change', async function() {
+      try {
+        await sendMessage(MESSAGES.CORRECT_TAG, {
+          messageId: entry.id,
+          tag: tagSelect.value,
+          scope: scopeSelect.value
+        });
+        await loadHistory();
+      } catch (error) {
+        console.error('Error correcting tag:', error);
+        tagSelect.value = entry.tag;
+      }
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+    actions.append(tagSelect, scopeSelect);
+
+    const emailActions = document.createElement('div');
+    emailActions.className = 'history-actions';
+    emailActions.append(
+      emailActionButton('Open', 'open', entry),
+      emailActionButton('Read', 'markRead', entry),
+      emailActionButton('Archive', 'archive', entry),
+      emailActionButton('Snooze 1h', 'snooze', entry),
+      emailActionButton('Mute', 'mute', entry)
+    );
+
+    const sent = renderSentRequest(entry.aiRequest);
+    if (sent) {
+      const toggle = document.createElement('button');
+      toggle.className = 'history-btn';
+      toggle.textContent = entry.aiRequest.error ? 'Sent to AI (failed)' : 'Sent to AI';
+      toggle.title = 'Show exactly what was sent to the AI provider';
+      toggle.addEventListener('click', function() {
+        sent.hidden = !sent.hidden;
+      });
+      emailActions.append(toggle);
+    }
+
+    item.append(...[link, extracted, actions, emailActions, sent].filter(Boolean));
+    return item;
+  }
+
+  // Debug view: the prompt and message as the provider received them, placeholders included
+  function renderSentRequest(request) {
+    if (!request) return null;
+
+    const view = document.createElement('div');
+    view.className = 'history-sent';
+    view.hidden = true;
+
+    const masked = describeRedactions(request.redacted);
+    const meta = document.createElement('div');
+    meta.className = 'history-sent-meta';
+    meta.textContent = [
+      `${request.provider} · ${request.model}`,
+      new Date(request.sentAt).toLocaleString(),
+      request.error ? `Failed: ${request.error}. The summary came from keywords.` : '',
+      masked ? `Masked: ${masked}` : 'Nothing masked',
+      request.restored ? 'Placeholders restored in the summary' : ''
+    ].filter(Boolean).join('\n');
+
+    const message = document.createElement('pre');
+    message.textContent = request.message;
+
+    const prompt = document.createElement('details');
+    const promptLabel = document.createElement('summary');
+    promptLabel.textContent = 'Instructions sent with it';
+    const promptText = document.createElement('pre');
+    promptText.textContent = request.prompt;
+    prompt.append(promptLabel, promptText);
+
+    view.append(meta, message, prompt);
+    return view;
+  }
+
+  // Deadlines within two days are flagged as soon
+  const SOON_MS = 48 * 60 * 60 * 1000;
+
+  function fact(text, className = '') {
+    const chip = document.createElement('span');
+    chip.className = `history-fact ${className}`.trim();
+    chip.textContent = text;
+    return chip;
+  }
+
+  function renderExtracted(extracted) {
+    if (!extracted) return null;
+
+    const chips = [];
+
+    extracted.codes.forEach(({ code }) => {
+      const chip = fact(`Code ${code}`);
+      const copy = document.createElement('button');
+      copy.textContent = 'Copy code';
+      copy.addEventListener('click', async function() {
+        await navigator.clipboard.writeText(code);
+        copy.textContent = 'Copied';
+      });
+      chip.appendChild(copy);
+      chips.push(chip);
+    });
+
+    extracted.deadlines.forEach(deadline => {
+      const soon = new Date(deadline.date).getTime() - Date.now() < SOON_MS;
+      const chip = fact(`Due ${formatWhen(deadline.date, deadline.hasTime)}`, soon ? 'deadline soon' : 'deadline');
+      chip.title = deadline.text;
+      chips.push(chip);
+    });
+
+    extracted.meetings.forEach(meeting => {
+      const where = meeting.location ? ` · ${meeting.location}` : '';
+      const chip = fact(`Meeting ${formatWhen(meeting.date, meeting.hasTime)}${where}`);
+      chip.title = meeting.text;
+      chips.push(chip);
+    });
+
+    extracted.amounts.forEach(amount => chips.push(fact(amount.text)));
+    extracted.trackingNumbers.forEach(item => {
+      chips.push(fact(`${item.carrier || 'Tracking'} ${item.number}`));
+    });
+
+    extracted.actionItems.slice(0, 2).forEach(action => {
+      const todo = document.createElement('div');
+      todo.className = 'history-todo';
+      todo.textContent = `• ${action}`;
+      chips.push(todo);
+    });
+
+    if (!chips.length) return null;
+
+    const container = document.createElement('div');
+    container.className = 'history-extracted';
+    container.append(...chips);
+    return container;
+  }
+
+  function formatDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return date.toDateString() === new Date().toDateString()
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  }
+
+  function currentFilters() {
+    const days = Number(filterDateSelect.value);
+    let since = null;
+
+    if (days) {
+      const start = new Date();
+      start.setHours(0, 0, 0, 0);
+      start.setDate(start.getDate() - (days - 1));
+      since = start.toISOString();
+    }
+
+    return {
+      tag: filterTagSelect.value || null,
+      sender: filterSenderInput.value,
+      since
+    };
+  }
+
+  function emailActionButton(label, type, entry) {
+    const btn = document.createElement('button');
+    btn.className = 'history-btn';
+    btn.textContent = label;
+
+    btn.addEventListener('click', async function() {
+      btn.disabled = true;
+      try {
+        await sendMessage(MESSAGES.EMAIL_ACTION, { type, messageId: entry.id });
+        if (type !== 'open') btn.textContent = 'Done';
+      } catch (error) {
+        console.error(`Error running ${type}:`, error);
+        btn.textContent = 'Failed';
+      } finally {
+        btn.disabled = false;
+      }
+    });
+
+    return btn;
+  }
 
-  async function loadStatus() {
+  async function loadHistory() {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'getStatus' });
-      
-      if (response.isRunning) {
-        statusEl.textContent = 'Active';
-        statusEl.className = 'status-value status-active';
-        toggleBtn.textContent = 'Stop';
-      } else {
-        statusEl.textContent = 'Inactive';
-        statusEl.className = 'status-value status-inactive';
-        toggleBtn.textContent = 'Start';
+      const response = await sendMessage(MESSAGES.GET_HISTORY, { filters: currentFilters() });
+
+      renderAccuracy(response.stats);
+
+      historyListEl.textContent = '';
+      if (!response.entries.length) {
+        const empty = document.createElement('div');
+        empty.className = 'history-empty';
+        empty.textContent = 'No matching emails.';
+        historyListEl.appendChild(empty);
+        return;
       }
-      
-      if (response.lastCheck) {
-        const lastCheck = new Date(response.lastCheck);
-        lastCheckEl.textContent = lastCheck.toLocaleString();
-      } else {
-        lastCheckEl.textContent = 'Never';
+
+      response.entries.forEach(entry => {
+        historyListEl.appendChild(renderHistoryItem(entry));
+      });
+
+      if (correctId) {
+        const target = historyListEl.querySelector(`[data-id="${CSS.escape(correctId)}"]`);
+        if (target) {
+          target.classList.add('highlight');
+          target.scrollIntoView({ block: 'center' });
+          target.querySelector('select').focus();
+        }
       }
-      
-      processedCountEl.textContent = response.processedCount || 0;
     } catch (error) {
-      console.error('Error loading status:', error);
-      statusEl.textContent = 'Error';
+      // e.g. the vault is locked
+      console.error('Error loading history:', error);
+      historyListEl.textContent = '';
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = error.message;
+      historyListEl.appendChild(empty);
+    }
+  }
+
+  TAGS.forEach(tag => filterTagSelect.add(new Option(tag, tag)));
+  filterTagSelect.addEventListener('change', loadHistory);
+  filterDateSelect.addEventListener('change', loadHistory);
+  filterSenderInput.addEventListener('input', loadHistory);
+
+  /* ---------- Notification policy ---------- */
+
+  const dayInputs = ['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((letter, day) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = String(day);
+    label.append(letter, input);
+    quietDaysEl.appendChild(label);
+    return input;
+  });
+
+  const tagPolicySelects = {};
+  TAGS.forEach(tag => {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+
+    const label = document.createElement('label');
+    label.textContent = tag;
+
+    const select = document.createElement('select');
+    Object.entries(POLICY_LABELS).forEach(([value, text]) => {
+      select.add(new Option(text, value));
+    });
+
+    group.append(label, select);
+    tagPoliciesEl.appendChild(group);
+    tagPolicySelects[tag] = select;
+  });
+
+  function showPolicy(settings) {
+    const policy = resolvePolicy(settings);
+
+    quietEnabledInput.checked = policy.quietHours.enabled;
+    quietStartInput.value = policy.quietHours.start;
+    quietEndInput.value = policy.quietHours.end;
+    dayInputs.forEach((input, day) => {
+      input.checked = policy.quietHours.days.includes(day);
+    });
+    TAGS.forEach(tag => {
+      tagPolicySelects[tag].value = policy.tagPolicy[tag];
+    });
+  }
+
+  function readPolicy() {
+    const tagPolicy = {};
+    TAGS.forEach(tag => {
+      tagPolicy[tag] = tagPolicySelects[tag].value;
+    });
+
+    return {
+      quietHours: {
+        enabled: quietEnabledInput.checked,
+        start: quietStartInput.value || '22:00',
+        end: quietEndInput.value || '07:00',
+        days: dayInputs.filter(input => input.checked).map(input => Number(input.value))
+      },
+      tagPolicy
+    };
+  }
+
+  /* ---------- Sender lists ---------- */
+
+  function showSenderLists(settings) {
+    const lists = resolveSenderLists(settings);
+    vipSendersInput.value = lists.vip.join('\n');
+    mutedSendersInput.value = lists.muted.join('\n');
+  }
+
+  // Returns null and shows the problem if any entry is invalid
+  function readSenderLists() {
+    const vip = parseSenderList(vipSendersInput.value);
+    const muted = parseSenderList(mutedSendersInput.value);
+    const invalid = [...vip.invalid, ...muted.invalid];
+
+    if (invalid.length) {
+      senderErrorsEl.textContent = `Not a valid address or domain: ${invalid.join(', ')}`;
+      senderErrorsEl.hidden = false;
+      senderErrorsEl.closest('details').open = true;
+      return null;
     }
+
+    senderErrorsEl.hidden = true;
+    return { vip: vip.valid, muted: muted.valid };
   }
 
   async function loadSettings() {
     try {
-      const data = await chrome.storage.local.get(['settings']);
-      const settings = data.settings || {};
-      aiApiKeyInput.value = settings.aiApiKey || '';
+      currentSettings = await loadStoredSettings();
+      showProviderConfig(currentSettings.aiProvider);
+      showPolicy(currentSettings);
+      showSenderLists(currentSettings);
     } catch (error) {
       console.error('Error loading settings:', error);
     }
   }
 
+  aiProviderSelect.addEventListener('change', function() {
+    showProviderConfig(aiProviderSelect.value);
+  });
+
   toggleBtn.addEventListener('click', async function() {
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'togglePolling' });
-      
-      if (response.isRunning) {
-        statusEl.textContent = 'Active';
-        statusEl.className = 'status-value status-active';
-        toggleBtn.textContent = 'Stop';
-      } else {
-        statusEl.textContent = 'Inactive';
-        statusEl.className = 'status-value status-inactive';
-        toggleBtn.textContent = 'Start';
-      }
+      const { status } = await sendMessage(MESSAGES.TOGGLE_POLLING);
+      renderStatus(status);
     } catch (error) {
       console.error('Error toggling polling:', error);
+      showStatusError(error);
+    }
+  });
+
+  checkNowBtn.addEventListener('click', async function() {
+    checkNowBtn.disabled = true;
+    try {
+      const { status } = await sendMessage(MESSAGES.CHECK_NOW);
+      renderStatus(status);
+      await loadHistory();
+    } catch (error) {
+      console.error('Error checking now:', error);
+      showStatusError(error);
+    } finally {
+      checkNowBtn.disabled = false;
     }
   });
 
   clearBtn.addEventListener('click', async function() {
     if (confirm('Clear all processed message history?')) {
       try {
-        await chrome.runtime.sendMessage({ action: 'clearProcessed' });
+        await sendMessage(MESSAGES.CLEAR_PROCESSED);
         processedCountEl.textContent = '0';
       } catch (error) {
         console.error('Error clearing history:', error);
@@ -74,14 +568,53 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Provider fields as a settings patch, saved or not
+  function readProviderSettings() {
+    const providerId = aiProviderSelect.value;
+    return {
+      aiProvider: providerId,
+      aiProviders: {
+        ...currentSettings.aiProviders,
+        [providerId]: {
+          apiKey: aiApiKeyInput.value.trim() || null,
+          model: aiModelInput.value.trim() || null,
+          baseUrl: aiBaseUrlInput.value.trim() || null
+        }
+      }
+    };
+  }
+
+  testAiBtn.addEventListener('click', async function() {
+    testAiBtn.disabled = true;
+    testAiResultEl.className = 'test-result';
+    testAiResultEl.textContent = 'Testing…';
+
+    try {
+      const result = await sendMessage(MESSAGES.TEST_AI_CONNECTION, { settings: readProviderSettings() });
+      testAiResultEl.textContent = `${result.provider} · ${result.model} answered in ${result.latencyMs} ms`;
+    } catch (error) {
+      testAiResultEl.className = 'test-result failed';
+      testAiResultEl.textContent = error.message;
+    } finally {
+      testAiBtn.disabled = false;
+    }
+  });
+
   saveBtn.addEventListener('click', async function() {
+    const senderLists = readSenderLists();
+    if (!senderLists) return;
+
+    saveErrorsEl.hidden = true;
     try {
-      const currentSettings = await chrome.storage.local.get(['settings']);
-      const settings = currentSettings.settings || {};
-      
-      settings.aiApiKey = aiApiKeyInput.value.trim() || null;
-      
-      await chrome.storage.local.set({ settings });
+      // The background merges the patch and drops its cached AI settings
+      const { settings } = await sendMessage(MESSAGES.UPDATE_SETTINGS, {
+        settings: {
+          ...readProviderSettings(),
+          notificationPolicy: readPolicy(),
+          senderLists
+        }
+      });
+      currentSettings = settings;
       
       // Visual feedback
       const originalText = saveBtn.textContent;
@@ -93,11 +626,70 @@ document.addEventListener('DOMContentLoaded', function() {
         saveBtn.style.background = '';
       }, 1500);
     } catch (error) {
+      // Rejected by the settings schema, e.g. a malformed base URL
       console.error('Error saving settings:', error);
+      saveErrorsEl.textContent = error.message;
+      saveErrorsEl.hidden = false;
+    }
+  });
+
+  signOutLink.addEventListener('click', async function(event) {
+    event.preventDefault();
+    if (!confirm('Sign out of every Gmail account and stop checking mail?')) return;
+
+    try {
+      const { status } = await sendMessage(MESSAGES.SIGN_OUT);
+      renderStatus(status);
+    } catch (error) {
+      console.error('Error signing out:', error);
+      showStatusError(error);
+    }
+  });
+
+  // History and the API key only load once the vault is open
+  async function unlockVault() {
+    unlockBtn.disabled = true;
+    try {
+      const { status } = await sendMessage(MESSAGES.UNLOCK_VAULT, {
+        passphrase: vaultPassphraseInput.value
+      });
+      vaultPassphraseInput.value = '';
+      renderStatus(status);
+      loadHistory();
+      loadSettings();
+    } catch (error) {
+      console.error('Error unlocking vault:', error);
+      showStatusError(error);
+    } finally {
+      unlockBtn.disabled = false;
     }
+  }
+
+  unlockBtn.addEventListener('click', unlockVault);
+  vaultPassphraseInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') unlockVault();
+  });
+
+  lockLink.addEventListener('click', async function(event) {
+    event.preventDefault();
+    try {
+      const { status } = await sendMessage(MESSAGES.LOCK_VAULT);
+      renderStatus(status);
+      loadHistory();
+      loadSettings();
+    } catch (error) {
+      console.error('Error locking vault:', error);
+      showStatusError(error);
+    }
+  });
+
+  optionsLink.addEventListener('click', function(event) {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
   });
 
-  // Load initial data
-  loadStatus();
+  // Load initial data; status keeps updating while the popup is open
+  subscribeToStatus(renderStatus);
+  loadHistory();
   loadSettings();
 });
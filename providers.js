@@ -0,0 +1,175 @@
+/* =========================
+   LLM Providers
+   Each provider turns a system + user prompt into a fetch request
+   and pulls the completion text back out of the response.
+========================= */
+
+const GENERATION = {
+  temperature: 0.4,
+  // Room for the summary plus a full entities object; a cut-off reply is unparseable JSON
+  maxTokens: 500
+};
+
+function openAIChatBody(model, system, user) {
+  return {
+    model,
+    temperature: GENERATION.temperature,
+    max_tokens: GENERATION.maxTokens,
+    response_format: { type: 'json_object' },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ]
+  };
+}
+
+const openAIChatText = data => data.choices?.[0]?.message?.content || '';
+
+export const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-3.5-turbo',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresKey: true,
+    buildRequest({ apiKey, model, baseUrl }, system, user) {
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: { Authorization: `Bearer ${apiKey}` },
+        body: openAIChatBody(model, system, user)
+      };
+    },
+    parseResponse: openAIChatText
+  },
+
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-3-haiku-20240307',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    requiresKey: true,
+    buildRequest({ apiKey, model, baseUrl }, system, user) {
+      return {
+        url: `${baseUrl}/messages`,
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required for calls made from an extension rather than a server
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model,
+          max_tokens: GENERATION.maxTokens,
+          temperature: GENERATION.temperature,
+          system,
+          messages: [{ role: 'user', content: user }]
+        }
+      };
+    },
+    parseResponse: data => data.content?.[0]?.text || ''
+  },
+
+  gemini: {
+    label: 'Google Gemini',
+    defaultModel: 'gemini-1.5-flash',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresKey: true,
+    buildRequest({ apiKey, model, baseUrl }, system, user) {
+      return {
+        url: `${baseUrl}/models/${model}:generateContent`,
+        headers: { 'x-goog-api-key': apiKey },
+        body: {
+          systemInstruction: { parts: [{ text: system }] },
+          contents: [{ role: 'user', parts: [{ text: user }] }],
+          generationConfig: {
+            temperature: GENERATION.temperature,
+            maxOutputTokens: GENERATION.maxTokens,
+            responseMimeType: 'application/json'
+          }
+        }
+      };
+    },
+    parseResponse: data => data.candidates?.[0]?.content?.parts?.[0]?.text || ''
+  },
+
+  azure: {
+    label: 'Azure OpenAI',
+    // Azure routes by deployment name, entered as the model
+    defaultModel: '',
+    defaultBaseUrl: '',
+    requiresKey: true,
+    buildRequest({ apiKey, model, baseUrl }, system, user) {
+      return {
+        url: `${baseUrl}/openai/deployments/${model}/chat/completions?api-version=2024-02-01`,
+        headers: { 'api-key': apiKey },
+        body: openAIChatBody(model, system, user)
+      };
+    },
+    parseResponse: openAIChatText
+  },
+
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    defaultModel: 'llama3',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    requiresKey: false,
+    buildRequest({ apiKey, model, baseUrl }, system, user) {
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: openAIChatBody(model, system, user)
+      };
+    },
+    parseResponse: openAIChatText
+  }
+};
+
+export const DEFAULT_PROVIDER = 'openai';
+
+// JSON mode (OpenAI, Azure) rejects a request whose messages never mention JSON
+export const CONNECTION_TEST = {
+  system: 'Reply with the JSON {"ok": true}.',
+  user: 'Connection test'
+};
+
+/* ---------------- CONFIG ---------------- */
+
+// Merge stored per-provider settings with defaults.
+// Older installs only have `aiApiKey`, which belongs to OpenAI.
+export function resolveProviderConfig(settings = {}) {
+  const id = PROVIDERS[settings.aiProvider] ? settings.aiProvider : DEFAULT_PROVIDER;
+  const provider = PROVIDERS[id];
+  const stored = settings.aiProviders?.[id] || {};
+
+  const apiKey = stored.apiKey || (id === 'openai' ? settings.aiApiKey : null) || null;
+  const baseUrl = (stored.baseUrl || provider.defaultBaseUrl).replace(/\/+$/, '');
+
+  return {
+    id,
+    provider,
+    apiKey,
+    model: stored.model || provider.defaultModel,
+    baseUrl
+  };
+}
+
+export function isProviderConfigured(config) {
+  if (!config.model || !config.baseUrl) return false;
+  return !config.provider.requiresKey || Boolean(config.apiKey);
+}
+
+/* ---------------- CALL ---------------- */
+
+export async function complete(config, system, user) {
+  const { url, headers, body } = config.provider.buildRequest(config, system, user);
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  if (!res.ok) {
+    throw new Error(`${config.provider.label} error: ${res.status} ${res.statusText}`);
+  }
+
+  return config.provider.parseResponse(await res.json());
+}
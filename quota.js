@@ -0,0 +1,82 @@
+/* =========================
+   Quota Meter
+   Counts the Gmail API quota units this extension spends per
+   day, using the per-method costs Google publishes.
+========================= */
+
+const QUOTA_KEY = 'quota_usage';
+
+// Quota units per call; anything unlisted is billed at the common rate
+const METHOD_COSTS = [
+  { pattern: /\/threads\/[^/?]+(\?|$)/, units: 10 },
+  { pattern: /\/messages\/[^/?]+\/modify/, units: 5 },
+  { pattern: /\/messages(\/[^/?]+)?(\?|$)/, units: 5 },
+  { pattern: /\/history(\?|$)/, units: 2 },
+  { pattern: /\/labels(\?|$)/, units: 1 },
+  { pattern: /\/profile(\?|$)/, units: 1 }
+];
+const DEFAULT_COST = 5;
+
+function today() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+export function quotaCost(path) {
+  return METHOD_COSTS.find(cost => cost.pattern.test(path))?.units ?? DEFAULT_COST;
+}
+
+export class QuotaMeter {
+  constructor() {
+    this.usage = null;
+    this.dirty = false;
+    this.loading = null;
+  }
+
+  // Requests record without awaiting, so every caller shares one load
+  ensureLoaded() {
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get([QUOTA_KEY]).then(data => {
+        this.usage = data[QUOTA_KEY] || { date: today(), units: 0, requests: 0 };
+      });
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Counters restart at local midnight
+  rollOver() {
+    if (this.usage.date !== today()) {
+      this.usage = { date: today(), units: 0, requests: 0 };
+      this.dirty = true;
+    }
+  }
+
+  async record(path) {
+    await this.ensureLoaded();
+    this.rollOver();
+
+    this.usage.units += quotaCost(path);
+    this.usage.requests++;
+    this.dirty = true;
+  }
+
+  async get() {
+    await this.ensureLoaded();
+    this.rollOver();
+    return { ...this.usage };
+  }
+
+  // Written once per check rather than once per request
+  async flush() {
+    if (!this.dirty) return;
+
+    await chrome.storage.local.set({ [QUOTA_KEY]: this.usage });
+    this.dirty = false;
+  }
+}
+
+export const quotaMeter = new QuotaMeter();
@@ -0,0 +1,218 @@
+import { CODE_PATTERNS } from './extract.js';
+
+/* =========================
+   Redaction
+   Masks personal details before text goes to the AI provider.
+   Each distinct value becomes a numbered placeholder such as
+   [EMAIL_1]; the mapping never leaves the browser, so details
+   can be put back into the reply locally.
+========================= */
+
+export const REDACTION_KINDS = {
+  email: 'email address',
+  phone: 'phone number',
+  card: 'card number',
+  iban: 'IBAN',
+  code: 'one-time code',
+  address: 'street address',
+  name: 'name'
+};
+
+// Privacy setting that switches each kind on
+const KIND_SETTINGS = {
+  email: 'redactEmails',
+  phone: 'redactPhones',
+  card: 'redactPayment',
+  iban: 'redactPayment',
+  code: 'redactCodes',
+  address: 'redactAddresses',
+  name: 'redactNames'
+};
+
+const PLACEHOLDER = /\[(EMAIL|PHONE|CARD|IBAN|CODE|ADDRESS|NAME)_(\d+)\]/g;
+
+/* ---------------- PATTERNS ---------------- */
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}\b|(?<![\w+])\+\d{7,15}\b/g;
+// Dates use the same separators as phone numbers
+const DATE_LIKE = /^\d{1,4}([./-])\d{1,2}\1\d{2,4}$/;
+
+const ADDRESS_PATTERNS = [
+  // 221 Baker Street, 1600 Amphitheatre Pkwy, Suite 400
+  /\b\d{1,5}\s+(?:[A-Z][A-Za-z]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy)\b\.?(?:,?\s+(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?/g,
+  // Hauptstraße 12, Kirchweg 3a
+  /\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|weg|gasse|platz|allee)\s+\d{1,4}[a-z]?\b/g,
+  // UK postcodes
+  /\b[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}\b/g
+];
+
+// Names are learned from greetings and sign-offs as well as the sender
+const GREETING = /\b(?:Hi|Hello|Hey|Dear)\s+([A-Z][a-z]+(?: [A-Z][a-z]+)?)\b/g;
+const SIGN_OFF = /\b(?:Regards|Thanks|Thank you|Best|Cheers|Sincerely|Best wishes|Kind regards),?[ \t]*\n+[ \t]*([A-Z][a-z]+(?: [A-Z][a-z]+)?)[ \t]*(?:\n|$)/g;
+const NOT_NAMES = new Set(['all', 'everyone', 'team', 'there', 'customer', 'sir', 'madam', 'friend', 'friends', 'folks', 'guys', 'you', 'me']);
+
+/* ---------------- CHECKS ---------------- */
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616: move the country and check digits to the end, then mod 97
+function ibanValid(iban) {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function phoneValid(text) {
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 7 && digits.length <= 15 && !DATE_LIKE.test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function learnNames(text = '') {
+  const names = [];
+  for (const pattern of [GREETING, SIGN_OFF]) {
+    for (const match of text.matchAll(pattern)) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/* ---------------- REDACTOR ---------------- */
+
+/**
+ * One per AI request, so the same address gets the same placeholder
+ * in the email and in the prompt. settings: the privacy settings;
+ * names: people known to be in the text, e.g. the sender.
+ */
+export class Redactor {
+  constructor(settings = {}, names = []) {
+    this.settings = settings;
+    this.placeholders = new Map(); // original -> placeholder
+    this.originals = new Map(); // placeholder -> original
+    this.counters = {};
+    this.names = this.enabled('name') ? this.cleanNames(names) : [];
+  }
+
+  enabled(kind) {
+    return this.settings[KIND_SETTINGS[kind]] !== false;
+  }
+
+  // Full names first, so "Alex Kim" isn't masked as "Alex" plus "Kim"
+  cleanNames(names) {
+    const result = new Set();
+    names
+      .filter(name => typeof name === 'string' && !name.includes('@'))
+      .map(name => name.replace(/["']/g, '').trim())
+      .forEach(name => {
+        const parts = name.split(/\s+/).filter(part => /^\p{Lu}[\p{L}'-]+$/u.test(part));
+        if (!parts.length || parts.some(part => NOT_NAMES.has(part.toLowerCase()))) return;
+        result.add(parts.join(' '));
+        parts.forEach(part => result.add(part));
+      });
+    return [...result].sort((a, b) => b.length - a.length);
+  }
+
+  placeholder(kind, original, canonical = original) {
+    if (!this.placeholders.has(canonical)) {
+      this.counters[kind] = (this.counters[kind] || 0) + 1;
+      const placeholder = `[${kind.toUpperCase()}_${this.counters[kind]}]`;
+      this.placeholders.set(canonical, placeholder);
+      this.originals.set(placeholder, original);
+    }
+    return this.placeholders.get(canonical);
+  }
+
+  replace(text, kind, pattern, isValid = () => true) {
+    if (!this.enabled(kind)) return text;
+    return text.replace(pattern, match => (isValid(match) ? this.placeholder(kind, match) : match));
+  }
+
+  // Order matters: an IBAN or card number would otherwise pass as a phone number
+  mask(text) {
+    if (!text) return text;
+
+    let masked = this.replace(text, 'email', EMAIL_PATTERN);
+    masked = this.replace(masked, 'iban', IBAN_PATTERN, match => ibanValid(match.replace(/ /g, '')));
+    masked = this.replace(masked, 'card', CARD_PATTERN, match => luhnValid(match.replace(/\D/g, '')));
+
+    if (this.enabled('code')) {
+      CODE_PATTERNS.forEach(pattern => {
+        const global = new RegExp(pattern.source, `${pattern.flags}g`);
+        masked = masked.replace(global, (match, code) => match.replace(code, this.placeholder('code', code)));
+      });
+    }
+
+    masked = this.replace(masked, 'phone', PHONE_PATTERN, phoneValid);
+    ADDRESS_PATTERNS.forEach(pattern => {
+      masked = this.replace(masked, 'address', pattern);
+    });
+
+    if (this.enabled('name')) {
+      const names = this.cleanNames([...this.names, ...learnNames(text)]);
+      names.forEach(name => {
+        const full = names.find(other => other.includes(' ') && other.split(' ').includes(name)) || name;
+        const pattern = new RegExp(`(?<![\\p{L}\\[])${escapeRegExp(name)}(?![\\p{L}_])`, 'gu');
+        masked = masked.replace(pattern, () => this.placeholder('name', full));
+      });
+    }
+
+    return masked;
+  }
+
+  // Puts originals back into a string, or every string inside an object or array
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, placeholder => this.originals.get(placeholder) ?? placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  // Distinct values masked so far, by kind: { email: 2, name: 1 }
+  counts() {
+    return { ...this.counters };
+  }
+
+  get size() {
+    return this.originals.size;
+  }
+}
+
+// "2 email addresses, 1 name"
+export function describeRedactions(counts = {}) {
+  return Object.entries(counts)
+    .map(([kind, count]) => {
+      const label = REDACTION_KINDS[kind] || kind;
+      if (count === 1) return `1 ${label}`;
+      return `${count} ${label}${label.endsWith('s') ? 'es' : 's'}`;
+    })
+    .join(', ');
+}
@@ -0,0 +1,235 @@
+/* =========================
+   Rule Engine
+   Rules rewrite the summary (and optionally the tag) when an
+   email matches. Higher priority rules are evaluated first.
+   By default a rule only rewrites keyword-fallback summaries;
+   replacing an AI summary needs overrideAI on the rule.
+========================= */
+
+const RULES_KEY = 'rules';
+
+// `text` matches against subject and body together
+export const RULE_FIELDS = ['text', 'subject', 'body', 'sender'];
+
+// Built-in patterns only match whole words ("hr" must not hit "three")
+function wholeWords(pattern) {
+  return `\\b(?:${pattern})\\b`;
+}
+
+function rule(id, name, pattern, summary) {
+  const match = { text: wholeWords(pattern) };
+  return { id, name, enabled: true, match, tag: null, summary, overrideAI: false };
+}
+
+const BUILTIN_RULES = [
+  /* ───────────── AUTH / SECURITY / OTP ───────────── */
+  rule('otp', 'One-time password', 'one time password|otp|verification code|use this code',
+    'One-time password received for account verification.'),
+  rule('new-sign-in', 'New sign-in', 'new sign[- ]?in|signed in|login detected|new device',
+    'New sign-in detected on your account; review if this was you.'),
+  rule('google-sign-in', 'Google sign-in', 'google sign[- ]?in|sign[- ]?in to google account',
+    'Google account sign-in detected; review activity if unexpected.'),
+  rule('security-alert', 'Security alert', 'security alert|unusual activity|suspicious activity|login attempt',
+    'Security alert on your account; review immediately.'),
+  rule('password-reset', 'Password reset', 'password reset|reset your password|change your password',
+    'Password reset requested; take action if this was you.'),
+  rule('email-verification', 'Email verification', 'verify your email|email verification|confirm your email',
+    'Email verification required to complete account setup.'),
+
+  /* ───────────── ACCOUNT / ACCESS REQUESTS ───────────── */
+  rule('access-request', 'Access request', 'access request|permission request|requested access|shared with you',
+    'Access request received; review and approve if appropriate.'),
+  rule('new-device', 'New device or location', 'new device|new browser|new location',
+    'New device or location used to access your account.'),
+
+  /* ───────────── CAREER / JOB ───────────── */
+  rule('interview', 'Interview', 'interview|hr|recruiter|hiring|selection|availability|next round',
+    'Interview-related email; reply to confirm availability.'),
+  rule('job-offer', 'Job offer', 'offer letter|job offer|we are pleased to offer',
+    'Job offer received; review details and respond.'),
+  rule('application-rejected', 'Application rejected', 'regret to inform|not selected|application rejected',
+    'Application update received; no response required.'),
+  rule('application-status', 'Application status', 'application status|application update|under review',
+    'Update on your job application status.'),
+
+  /* ───────────── EVENTS / MEETINGS ───────────── */
+  rule('meeting-request', 'Meeting request', 'meeting request|schedule a call|calendar invite',
+    'Meeting request received; reply to schedule or confirm.'),
+  rule('event-invite', 'Event invitation', 'event|meetup|webinar|conference|session|join us',
+    'Event invitation received; reply if you want to attend.'),
+  rule('rescheduled', 'Rescheduled', 'rescheduled|new time|updated schedule',
+    'Meeting or event has been rescheduled; review updated details.'),
+  rule('cancelled', 'Cancelled', 'cancelled|canceled',
+    'Meeting or event has been cancelled.'),
+
+  /* ───────────── PAYMENTS / FINANCE ───────────── */
+  rule('payment-due', 'Payment due', 'payment due|outstanding amount|due by|overdue',
+    'Payment due; review and complete before the deadline.'),
+  rule('invoice', 'Invoice or receipt', 'invoice|receipt|payment confirmation|transaction successful',
+    'Payment or invoice details received.'),
+  rule('refund', 'Refund', 'refund|credited back|refund initiated',
+    'Refund update received; check transaction details.'),
+
+  /* ───────────── SUBSCRIPTIONS / SERVICES ───────────── */
+  rule('subscription-renewal', 'Subscription renewal', 'subscription renewal|renewal notice|renews on',
+    'Subscription renewal notice received.'),
+  rule('subscription-cancelled', 'Subscription cancelled', 'subscription cancelled|cancellation confirmed',
+    'Subscription cancellation confirmed.'),
+  rule('plan-changed', 'Plan changed', 'plan upgraded|plan changed|billing plan',
+    'Your service plan has been updated.'),
+
+  /* ───────────── PROMOTIONAL / MARKETING ───────────── */
+  rule('promo-offer', 'Promotional offer', 'special offer|limited time offer|discount|sale|deal',
+    'Promotional offer received; check details if interested.'),
+  rule('promo-announcement', 'Product announcement', 'introducing|new launch|we are excited to announce',
+    'Promotional announcement about a new product or feature.'),
+
+  /* ───────────── INFORMATIONAL ───────────── */
+  rule('newsletter', 'Newsletter', 'newsletter|weekly digest|monthly update',
+    'Newsletter received; informational update.'),
+  rule('policy-update', 'Policy update', 'policy update|terms updated|privacy policy',
+    'Policy update announced; review changes.'),
+  rule('product-update', 'Product update', 'product update|new feature|feature release',
+    'Product update announced with new changes.'),
+
+  /* ───────────── SOCIAL / CASUAL ───────────── */
+  rule('thanks', 'Thank-you', 'thank you|thanks for|appreciate',
+    'Thank-you or appreciation message received.'),
+  rule('congratulations', 'Congratulations', 'congratulations|congrats',
+    'Congratulations message received.')
+];
+
+// Priorities leave gaps so user rules can slot in between defaults
+export const DEFAULT_RULES = BUILTIN_RULES.map((r, index) => ({
+  ...r,
+  priority: (BUILTIN_RULES.length - index) * 10
+}));
+
+/* ---------------- STORAGE ---------------- */
+
+/**
+ * Stored copies of built-in rules still carry the substring patterns
+ * they shipped with before whole-word matching; swap those for the
+ * current pattern. Patterns the user edited are left alone.
+ */
+export function migrateRules(rules) {
+  let changed = false;
+  const migrated = rules.map(stored => {
+    const builtin = DEFAULT_RULES.find(r => r.id === stored.id);
+    if (!builtin || typeof stored.match?.text !== 'string' || wholeWords(stored.match.text) !== builtin.match.text) {
+      return stored;
+    }
+    changed = true;
+    return { ...stored, match: { ...stored.match, text: builtin.match.text } };
+  });
+  return { rules: migrated, changed };
+}
+
+export async function loadRules() {
+  const data = await chrome.storage.local.get([RULES_KEY]);
+  if (!Array.isArray(data[RULES_KEY])) {
+    return DEFAULT_RULES.map(r => ({ ...r, match: { ...r.match } }));
+  }
+
+  const { rules, changed } = migrateRules(data[RULES_KEY]);
+  if (changed) {
+    await saveRules(rules);
+  }
+  return rules;
+}
+
+export async function saveRules(rules) {
+  await chrome.storage.local.set({ [RULES_KEY]: rules });
+}
+
+export async function resetRules() {
+  await chrome.storage.local.remove(RULES_KEY);
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+const compiled = new Map();
+
+export function compilePattern(pattern) {
+  if (!compiled.has(pattern)) {
+    compiled.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return compiled.get(pattern);
+}
+
+export function validateRule(candidate) {
+  const errors = [];
+
+  if (!candidate.name?.trim()) {
+    errors.push('Name is required.');
+  }
+
+  const patterns = Object.entries(candidate.match || {}).filter(([, p]) => p);
+  if (!patterns.length) {
+    errors.push('At least one match pattern is required.');
+  }
+
+  for (const [field, pattern] of patterns) {
+    if (!RULE_FIELDS.includes(field)) {
+      errors.push(`Unknown match field "${field}".`);
+      continue;
+    }
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      errors.push(`Invalid ${field} pattern: ${error.message}`);
+    }
+  }
+
+  if (!candidate.summary?.trim()) {
+    errors.push('Summary template is required.');
+  }
+
+  return errors;
+}
+
+/* ---------------- EVALUATION ---------------- */
+
+// Supports {subject}, {sender} and {summary} placeholders
+export function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (token, key) => values[key] ?? token);
+}
+
+function matches(candidate, fields) {
+  const conditions = Object.entries(candidate.match || {}).filter(([, p]) => p);
+  if (!conditions.length) return false;
+
+  return conditions.every(([field, pattern]) => {
+    try {
+      return compilePattern(pattern).test(fields[field] || '');
+    } catch {
+      return false;
+    }
+  });
+}
+
+// A keyword anywhere in the mail says less than a specific AI summary
+export function appliesTo(candidate, source) {
+  return source !== 'ai' || candidate.overrideAI === true;
+}
+
+// Returns { rule, summary, tag } for the first matching rule, or null
+export function evaluateRules(rules, { subject = '', body = '', sender = '', summary = '', source = 'fallback' }) {
+  const fields = { subject, body, sender, text: `${subject} ${body}` };
+
+  const ordered = rules
+    .filter(r => r.enabled && appliesTo(r, source))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  for (const candidate of ordered) {
+    if (matches(candidate, fields)) {
+      return {
+        rule: candidate,
+        summary: renderTemplate(candidate.summary, { subject, sender, summary }),
+        tag: candidate.tag || null
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,82 @@
+/* =========================
+   Sender Lists
+   VIP senders always notify and are treated as Urgent;
+   muted senders never notify. Entries may be:
+     boss@example.com   exact address
+     example.com        domain (also @example.com or *@example.com)
+     *.example.com      any subdomain of example.com
+========================= */
+
+export function resolveSenderLists(settings = {}) {
+  return {
+    vip: settings.senderLists?.vip || [],
+    muted: settings.senderLists?.muted || []
+  };
+}
+
+export function normalizePattern(raw) {
+  const pattern = raw.trim().toLowerCase().replace(/^\*?@/, '');
+  if (!pattern) return null;
+
+  if (pattern.includes('@')) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(pattern) ? pattern : null;
+  }
+
+  return /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(pattern) ? pattern : null;
+}
+
+// Split a pasted list on newlines, commas or semicolons
+export function parseSenderList(text) {
+  const valid = [];
+  const invalid = [];
+
+  for (const raw of (text || '').split(/[\n,;]+/)) {
+    if (!raw.trim()) continue;
+
+    const pattern = normalizePattern(raw);
+    if (pattern) {
+      if (!valid.includes(pattern)) valid.push(pattern);
+    } else {
+      invalid.push(raw.trim());
+    }
+  }
+
+  return { valid, invalid };
+}
+
+export function matchesPattern(email, pattern) {
+  const address = (email || '').toLowerCase();
+  const domain = address.slice(address.lastIndexOf('@') + 1);
+
+  if (pattern.includes('@')) {
+    return address === pattern;
+  }
+
+  if (pattern.startsWith('*.')) {
+    return domain.endsWith(pattern.slice(1));
+  }
+
+  return domain === pattern;
+}
+
+// VIP wins when a sender is on both lists
+export function classifySender(lists, email) {
+  if (!email) return null;
+  if (lists.vip.some(pattern => matchesPattern(email, pattern))) return 'vip';
+  if (lists.muted.some(pattern => matchesPattern(email, pattern))) return 'muted';
+  return null;
+}
+
+// Returns the senderLists setting with the pattern added; saving is up to the caller
+export function addToSenderList(settings, listName, rawPattern) {
+  const pattern = normalizePattern(rawPattern);
+  if (!pattern) {
+    throw new Error(`Invalid sender "${rawPattern}"`);
+  }
+
+  const lists = resolveSenderLists(settings);
+  if (!lists[listName].includes(pattern)) {
+    lists[listName] = [...lists[listName], pattern];
+  }
+  return lists;
+}
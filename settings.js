@@ -0,0 +1,673 @@
+import { PROVIDERS, DEFAULT_PROVIDER } from './providers.js';
+import { DEFAULT_POLICY, TAG_POLICIES } from './policy.js';
+import { DEFAULT_DIGEST, DELIVERY_MODES } from './digest.js';
+import { normalizePattern } from './senders.js';
+import { TAGS } from './fallback.js';
+import { validateRule } from './rules.js';
+import { vault, VaultLockedError } from './vault.js';
+
+/* =========================
+   Settings
+   One schema describes every shared setting: its default, type
+   and limits, and where the options page shows it. Stored
+   settings are migrated to the current version and validated
+   on load; saves and imports are rejected when invalid.
+========================= */
+
+export const SETTINGS_KEY = 'settings';
+// API keys, sealed by the vault while it is enabled
+export const SECRETS_KEY = 'ai_secrets';
+
+// Settings stored before the schema existed count as version 1
+export const SETTINGS_VERSION = 2;
+
+const EXPORT_FORMAT = 'smart-gmail-notifier-settings';
+
+// Buttons a notification can be given; copying a code is added automatically
+export const NOTIFICATION_BUTTONS = ['markRead', 'archive', 'snooze', 'retag', 'mute'];
+
+export class SettingsError extends Error {
+  constructor(errors) {
+    super(errors.join('\n'));
+    this.name = 'SettingsError';
+    this.errors = errors;
+  }
+}
+
+/* ---------------- FIELD CHECKS ---------------- */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkTime(value, fallback, report, name) {
+  if (typeof value === 'string' && TIME_PATTERN.test(value)) return value;
+  if (value !== undefined) report(`${name} must be a time like 07:30`);
+  return fallback;
+}
+
+function checkBoolean(value, fallback, report, name) {
+  if (typeof value === 'boolean') return value;
+  if (value !== undefined) report(`${name} must be true or false`);
+  return fallback;
+}
+
+function checkWeekday(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 6;
+}
+
+// { Urgent: 'normal', ... } restricted to known tags and allowed values
+function checkTagMap(value, allowed, fallback, report, name) {
+  const result = { ...fallback };
+  if (value === undefined) return result;
+  if (!isObject(value)) {
+    report(`${name} must be an object keyed by tag`);
+    return result;
+  }
+
+  Object.entries(value).forEach(([tag, mode]) => {
+    if (!TAGS.includes(tag)) {
+      report(`${name} has unknown tag "${tag}"`);
+    } else if (!allowed.includes(mode)) {
+      report(`${name} for ${tag} must be one of ${allowed.join(', ')}`);
+    } else {
+      result[tag] = mode;
+    }
+  });
+  return result;
+}
+
+function checkProviders(value, report) {
+  const result = {};
+  if (!isObject(value)) {
+    report('must be an object keyed by provider');
+    return result;
+  }
+
+  Object.entries(value).forEach(([id, config]) => {
+    if (!PROVIDERS[id]) {
+      report(`unknown provider "${id}"`);
+      return;
+    }
+    if (!isObject(config)) {
+      report(`${id} must be an object`);
+      return;
+    }
+
+    const entry = {};
+    ['apiKey', 'model', 'baseUrl'].forEach(field => {
+      const raw = config[field];
+      if (raw === undefined || raw === null || raw === '') {
+        entry[field] = null;
+      } else if (typeof raw !== 'string') {
+        report(`${id} ${field} must be text`);
+        entry[field] = null;
+      } else {
+        entry[field] = raw.trim();
+      }
+    });
+
+    if (entry.baseUrl && !/^https?:\/\/[^\s]+$/i.test(entry.baseUrl)) {
+      report(`${id} base URL must start with http:// or https://`);
+      entry.baseUrl = null;
+    }
+    result[id] = entry;
+  });
+  return result;
+}
+
+function checkPolicy(value, report) {
+  if (!isObject(value)) {
+    report('Must be an object.');
+    return structuredClone(DEFAULT_POLICY);
+  }
+
+  const quiet = isObject(value.quietHours) ? value.quietHours : {};
+  const defaults = DEFAULT_POLICY.quietHours;
+
+  let days = defaults.days;
+  if (quiet.days !== undefined) {
+    if (Array.isArray(quiet.days) && quiet.days.every(checkWeekday)) {
+      days = [...new Set(quiet.days)].sort();
+    } else {
+      report('quiet days must be weekday numbers 0–6');
+    }
+  }
+
+  return {
+    quietHours: {
+      enabled: checkBoolean(quiet.enabled, defaults.enabled, report, 'quiet hours'),
+      start: checkTime(quiet.start, defaults.start, report, 'quiet hours start'),
+      end: checkTime(quiet.end, defaults.end, report, 'quiet hours end'),
+      days
+    },
+    tagPolicy: checkTagMap(value.tagPolicy, TAG_POLICIES, DEFAULT_POLICY.tagPolicy, report, 'tag policy')
+  };
+}
+
+function checkSenderLists(value, report) {
+  const result = { vip: [], muted: [] };
+  if (!isObject(value)) {
+    report('must be an object with vip and muted lists');
+    return result;
+  }
+
+  ['vip', 'muted'].forEach(list => {
+    const entries = value[list] ?? [];
+    if (!Array.isArray(entries)) {
+      report(`${list} must be a list`);
+      return;
+    }
+
+    entries.forEach(raw => {
+      const pattern = typeof raw === 'string' ? normalizePattern(raw) : null;
+      if (!pattern) {
+        report(`${list} entry "${raw}" is not an address or domain`);
+      } else if (!result[list].includes(pattern)) {
+        result[list].push(pattern);
+      }
+    });
+  });
+  return result;
+}
+
+function checkWatchProfiles(value, report) {
+  if (!Array.isArray(value)) {
+    report('must be a list');
+    return [];
+  }
+
+  return value.filter((profile, index) => {
+    const name = `profile ${index + 1}`;
+    if (!isObject(profile) || typeof profile.id !== 'string' || !profile.id) {
+      report(`${name} needs an id`);
+      return false;
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+      report(`${name} needs a name`);
+      return false;
+    }
+    if (typeof profile.query !== 'string' || !profile.query.trim()) {
+      report(`"${profile.name}" needs a Gmail search`);
+      return false;
+    }
+    return true;
+  }).map(profile => ({
+    id: profile.id,
+    name: profile.name.trim(),
+    enabled: profile.enabled !== false,
+    query: profile.query.trim(),
+    labelIds: Array.isArray(profile.labelIds) ? profile.labelIds.filter(id => typeof id === 'string') : [],
+    tagPolicy: checkTagMap(profile.tagPolicy, TAG_POLICIES, {}, report, `"${profile.name}" tag policy`)
+  }));
+}
+
+function checkDigest(value, report) {
+  if (!isObject(value)) {
+    report('Must be an object.');
+    return structuredClone(DEFAULT_DIGEST);
+  }
+
+  let frequency = DEFAULT_DIGEST.frequency;
+  if (['daily', 'weekly'].includes(value.frequency)) {
+    frequency = value.frequency;
+  } else if (value.frequency !== undefined) {
+    report('frequency must be daily or weekly');
+  }
+
+  let weekday = DEFAULT_DIGEST.weekday;
+  if (checkWeekday(value.weekday)) {
+    weekday = value.weekday;
+  } else if (value.weekday !== undefined) {
+    report('day must be a weekday number 0–6');
+  }
+
+  return {
+    enabled: checkBoolean(value.enabled, DEFAULT_DIGEST.enabled, report, 'enabled'),
+    frequency,
+    time: checkTime(value.time, DEFAULT_DIGEST.time, report, 'time'),
+    weekday,
+    tagDelivery: checkTagMap(value.tagDelivery, DELIVERY_MODES, DEFAULT_DIGEST.tagDelivery, report, 'delivery')
+  };
+}
+
+function checkButtons(value, report) {
+  if (!Array.isArray(value)) {
+    report('must be a list');
+    return ['markRead', 'archive'];
+  }
+
+  const unknown = value.filter(button => !NOTIFICATION_BUTTONS.includes(button));
+  if (unknown.length) report(`unknown button ${unknown.join(', ')}`);
+
+  const buttons = [...new Set(value.filter(button => NOTIFICATION_BUTTONS.includes(button)))];
+  if (buttons.length > 2) report('Chrome shows at most two buttons');
+  return buttons.slice(0, 2);
+}
+
+/* ---------------- SCHEMA ---------------- */
+
+/**
+ * Field types: number (min, max), boolean, string (maxLength), enum (values),
+ * group (fields) and custom (check(value, report) returns the cleaned value).
+ * Fields with a section and label are rendered by the options page.
+ */
+export const SETTINGS_SCHEMA = {
+  pollingInterval: {
+    type: 'number',
+    default: 60,
+    min: 60, // Chrome won't fire alarms more often than once a minute
+    max: 3600,
+    section: 'general',
+    label: 'Check for mail every (seconds)'
+  },
+  notificationButtons: {
+    type: 'custom',
+    default: ['markRead', 'archive'],
+    check: checkButtons,
+    label: 'Notification buttons'
+  },
+  notificationPolicy: { type: 'custom', default: DEFAULT_POLICY, check: checkPolicy, label: 'Notifications' },
+  senderLists: { type: 'custom', default: { vip: [], muted: [] }, check: checkSenderLists, label: 'Senders' },
+  watchProfiles: { type: 'custom', default: [], check: checkWatchProfiles, label: 'Watch profiles' },
+  digest: { type: 'custom', default: DEFAULT_DIGEST, check: checkDigest, label: 'Digest' },
+  aiProvider: {
+    type: 'enum',
+    default: DEFAULT_PROVIDER,
+    values: Object.keys(PROVIDERS),
+    label: 'AI provider'
+  },
+  aiProviders: {
+    type: 'custom',
+    default: {},
+    check: checkProviders,
+    secret: true, // holds API keys, left out of exports by default
+    label: 'AI provider settings'
+  },
+  aiInstructions: {
+    type: 'string',
+    default: '',
+    maxLength: 1000,
+    section: 'ai',
+    label: 'Extra instructions for the summary prompt',
+    hint: 'Added to the built-in prompt, e.g. "Summaries in German" or "Mention order numbers".'
+  },
+  privacy: {
+    type: 'group',
+    fields: {
+      useAI: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Send emails to the AI provider',
+        hint: 'Off: summaries come from keywords, your rules and the on-device classifier only.'
+      },
+      includeThreadContext: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Include earlier messages of the thread'
+      },
+      includeAttachmentNames: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Include attachment file names'
+      },
+      redactEmails: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask email addresses'
+      },
+      redactPhones: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask phone numbers'
+      },
+      redactPayment: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask card and IBAN numbers'
+      },
+      redactCodes: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask one-time codes'
+      },
+      redactAddresses: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask street addresses and postcodes'
+      },
+      redactNames: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Mask people\'s names',
+        hint: 'Names come from the sender, the thread and greetings or sign-offs in the email.'
+      },
+      restorePlaceholders: {
+        type: 'boolean',
+        default: true,
+        section: 'privacy',
+        label: 'Put masked details back into the summary',
+        hint: 'Placeholders such as [NAME_1] in the reply are swapped back on this computer.'
+      }
+    }
+  }
+};
+
+function defaultsFor(fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, field]) => {
+    result[key] = field.type === 'group' ? defaultsFor(field.fields) : structuredClone(field.default);
+  });
+  return result;
+}
+
+export const DEFAULT_SETTINGS = defaultsFor(SETTINGS_SCHEMA);
+
+function checkField(field, value, report) {
+  if (value === undefined) return structuredClone(field.default);
+
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        report('must be a number');
+        return field.default;
+      }
+      if (number < field.min || number > field.max) {
+        report(`must be between ${field.min} and ${field.max}`);
+        return Math.min(field.max, Math.max(field.min, number));
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        report('must be true or false');
+        return field.default;
+      }
+      return value;
+    case 'string':
+      if (typeof value !== 'string') {
+        report('must be text');
+        return field.default;
+      }
+      if (value.length > field.maxLength) {
+        report(`must be at most ${field.maxLength} characters`);
+        return value.slice(0, field.maxLength);
+      }
+      return value;
+    case 'enum':
+      if (!field.values.includes(value)) {
+        report(`must be one of ${field.values.join(', ')}`);
+        return field.default;
+      }
+      return value;
+    case 'custom':
+      return field.check(value, report);
+    default:
+      throw new Error(`Unknown settings field type ${field.type}`);
+  }
+}
+
+function checkFields(fields, input, errors, prefix = '') {
+  const result = {};
+  const source = isObject(input) ? input : {};
+
+  Object.entries(fields).forEach(([key, field]) => {
+    const path = `${prefix}${key}`;
+    result[key] = field.type === 'group'
+      ? checkFields(field.fields, source[key], errors, `${path}.`)
+      : checkField(field, source[key], message => errors.push(`${field.label || path}: ${message}`));
+  });
+
+  Object.keys(source)
+    .filter(key => !fields[key] && key !== 'schemaVersion')
+    .forEach(key => errors.push(`${prefix}${key}: unknown setting`));
+
+  return result;
+}
+
+/**
+ * Returns the settings with every field present and valid. Invalid
+ * values are replaced by their default (numbers are clamped) and
+ * listed in errors; callers decide whether that is fatal.
+ */
+export function validateSettings(input) {
+  const errors = [];
+  const settings = checkFields(SETTINGS_SCHEMA, input, errors);
+  return { settings: { ...settings, schemaVersion: SETTINGS_VERSION }, errors };
+}
+
+// Checks only the fields present in input, e.g. one account's overrides
+export function validatePartialSettings(input) {
+  const keys = Object.keys(isObject(input) ? input : {});
+  const fields = Object.fromEntries(keys.filter(key => SETTINGS_SCHEMA[key]).map(key => [key, SETTINGS_SCHEMA[key]]));
+  const errors = [];
+  const settings = checkFields(fields, input, errors);
+  return { settings, errors };
+}
+
+// Fields the options page renders for a section, as [path, field]
+export function sectionFields(section, fields = SETTINGS_SCHEMA, prefix = '') {
+  return Object.entries(fields).flatMap(([key, field]) => {
+    if (field.type === 'group') return sectionFields(section, field.fields, `${prefix}${key}.`);
+    return field.section === section ? [[`${prefix}${key}`, field]] : [];
+  });
+}
+
+/* ---------------- MIGRATIONS ---------------- */
+
+// Keyed by the version they produce; each receives a copy of the previous version
+const MIGRATIONS = {
+  2(settings) {
+    // The single OpenAI key moved under aiProviders
+    if (settings.aiApiKey) {
+      const openai = settings.aiProviders?.openai || {};
+      settings.aiProviders = {
+        ...settings.aiProviders,
+        openai: { ...openai, apiKey: openai.apiKey || settings.aiApiKey }
+      };
+    }
+    delete settings.aiApiKey;
+
+    // The interval could be stored as text and below Chrome's minimum
+    if (settings.pollingInterval !== undefined) {
+      const interval = Number(settings.pollingInterval);
+      settings.pollingInterval = Number.isFinite(interval) ? Math.max(60, interval) : undefined;
+    }
+    return settings;
+  }
+};
+
+export function migrateSettings(input = {}) {
+  const from = Number(input.schemaVersion) || 1;
+  if (from > SETTINGS_VERSION) {
+    throw new SettingsError([`Settings are from a newer version (${from}); update the extension first`]);
+  }
+
+  let settings = structuredClone(input);
+  for (let version = from + 1; version <= SETTINGS_VERSION; version++) {
+    settings = MIGRATIONS[version](settings);
+    settings.schemaVersion = version;
+  }
+  return { settings, migrated: from !== SETTINGS_VERSION };
+}
+
+/* ---------------- SECRETS ---------------- */
+
+function secretKeys() {
+  return Object.keys(SETTINGS_SCHEMA).filter(key => SETTINGS_SCHEMA[key].secret);
+}
+
+// { aiProviders: { openai: 'sk-...' } } plus a copy of the settings without them
+function splitSecrets(settings) {
+  const rest = structuredClone(settings);
+  const secrets = {};
+  secretKeys().forEach(key => {
+    secrets[key] = {};
+    Object.entries(rest[key] || {}).forEach(([id, entry]) => {
+      if (entry.apiKey) secrets[key][id] = entry.apiKey;
+      entry.apiKey = null;
+    });
+  });
+  return { rest, secrets };
+}
+
+function joinSecrets(settings, secrets = {}) {
+  secretKeys().forEach(key => {
+    Object.entries(secrets[key] || {}).forEach(([id, apiKey]) => {
+      settings[key][id] = { model: null, baseUrl: null, ...settings[key][id], apiKey };
+    });
+  });
+  return settings;
+}
+
+// While the vault is locked the keys are simply missing
+async function readSecrets() {
+  try {
+    return await vault.read(SECRETS_KEY);
+  } catch (error) {
+    if (error instanceof VaultLockedError) return {};
+    throw error;
+  }
+}
+
+async function storeSettings(settings) {
+  if (!(await vault.isEnabled())) {
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    return;
+  }
+
+  const { rest, secrets } = splitSecrets(settings);
+  if ((await vault.status()).unlocked) {
+    await vault.write(SECRETS_KEY, secrets);
+  } else if (Object.values(secrets).some(keys => Object.keys(keys).length)) {
+    throw new SettingsError(['Unlock the vault to change API keys']);
+  }
+  await chrome.storage.local.set({ [SETTINGS_KEY]: rest });
+}
+
+/* ---------------- STORAGE ---------------- */
+
+// Always resolves to complete, valid settings; bad stored values fall back to defaults
+export async function loadSettings() {
+  const data = await chrome.storage.local.get([SETTINGS_KEY]);
+  const { settings: migrated, migrated: changed } = migrateSettings(data[SETTINGS_KEY] || {});
+  const { settings, errors } = validateSettings(migrated);
+
+  if (errors.length) {
+    console.warn('Ignoring invalid settings:', errors);
+  }
+  if (changed) {
+    await storeSettings(settings);
+  }
+  return joinSecrets(settings, await readSecrets());
+}
+
+// Shallow merge of top-level fields; throws SettingsError and saves nothing if invalid
+export async function saveSettings(patch) {
+  const current = await loadSettings();
+  const { settings, errors } = validateSettings({ ...current, ...patch });
+  if (errors.length) {
+    throw new SettingsError(errors);
+  }
+
+  await storeSettings(settings);
+  return settings;
+}
+
+/* ---------------- EXPORT / IMPORT ---------------- */
+
+// Rules come from a file here, so check what the rule editor would guarantee
+function checkRules(value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push('Summary rules: must be a list');
+    return [];
+  }
+
+  const ids = new Set();
+  value.forEach((candidate, index) => {
+    const report = message => errors.push(`Summary rule ${index + 1}: ${message}`);
+    if (!isObject(candidate)) {
+      report('Must be an object.');
+      return;
+    }
+
+    const strings = ['name', 'summary'].every(key => typeof candidate[key] === 'string')
+      && isObject(candidate.match)
+      && Object.values(candidate.match).every(pattern => typeof pattern === 'string');
+    if (!strings) {
+      report('Name, summary and match patterns must be text.');
+      return;
+    }
+    validateRule(candidate).forEach(report);
+
+    if (typeof candidate.id !== 'string' || !candidate.id) {
+      report('Id is required.');
+    } else if (ids.has(candidate.id)) {
+      report(`Duplicate id "${candidate.id}".`);
+    }
+    ids.add(candidate.id);
+
+    if (typeof candidate.enabled !== 'boolean') report('Enabled must be true or false.');
+    if (!Number.isFinite(candidate.priority)) report('Priority must be a number.');
+    if (candidate.tag !== null && !TAGS.includes(candidate.tag)) report(`Unknown tag "${candidate.tag}".`);
+    if (candidate.overrideAI !== undefined && typeof candidate.overrideAI !== 'boolean') {
+      report('overrideAI must be true or false.');
+    }
+  });
+
+  return value.map(candidate => ({ ...candidate, match: { ...candidate.match }, overrideAI: candidate.overrideAI === true }));
+}
+
+// API keys stay out of shared files unless asked for; rules travel with the settings
+export function exportSettings(settings, { includeSecrets = false, rules = null } = {}) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    schemaVersion: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: includeSecrets ? settings : splitSecrets(settings).rest,
+    ...(rules ? { rules } : {})
+  }, null, 2);
+}
+
+/**
+ * Parses an exported file into settings and rules ready to save.
+ * Keys missing from the file are kept from current, so importing a
+ * shared file doesn't sign anyone out of their AI provider. rules
+ * is null when the file has none, leaving the stored rules alone.
+ */
+export function importSettings(json, current = DEFAULT_SETTINGS) {
+  let file;
+  try {
+    file = JSON.parse(json);
+  } catch (error) {
+    throw new SettingsError([`Not a JSON file: ${error.message}`]);
+  }
+
+  if (file?.format !== EXPORT_FORMAT || !isObject(file.settings)) {
+    throw new SettingsError(['Not a Smart Gmail Notifier settings file']);
+  }
+
+  const { settings: migrated } = migrateSettings({ ...file.settings, schemaVersion: file.schemaVersion });
+  const { settings, errors } = validateSettings(migrated);
+  const rules = file.rules === undefined ? null : checkRules(file.rules, errors);
+  if (errors.length) {
+    throw new SettingsError(errors);
+  }
+
+  Object.entries(current.aiProviders || {}).forEach(([id, entry]) => {
+    if (entry.apiKey && !settings.aiProviders[id]?.apiKey) {
+      settings.aiProviders[id] = { model: null, baseUrl: null, ...settings.aiProviders[id], apiKey: entry.apiKey };
+    }
+  });
+  return { settings, rules };
+}
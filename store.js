@@ -0,0 +1,136 @@
+export const STORE_KEY = 'processed_messages';
+
+// Messages older than this are never notified, so their IDs can be dropped
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 2000;
+
+export class ProcessedStore {
+  constructor(storageKey = STORE_KEY) {
+    this.storageKey = storageKey;
+    this.entries = new Map(); // messageId -> internalDate (ms)
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  async load() {
+    const data = await chrome.storage.local.get([this.storageKey]);
+    const stored = data[this.storageKey];
+
+    this.entries = new Map();
+
+    if (Array.isArray(stored)) {
+      // Migrate the old flat array of IDs; we don't know their dates
+      const now = Date.now();
+      stored.forEach(id => this.entries.set(id, now));
+      this.dirty = true;
+    } else if (stored && typeof stored === 'object') {
+      Object.entries(stored).forEach(([id, time]) => {
+        this.entries.set(id, Number(time) || 0);
+      });
+    }
+
+    this.loaded = true;
+    this.evict();
+
+    if (this.dirty) {
+      await this.flush();
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Mail older than the retention window counts as processed even if unseen
+  has(messageId, internalDate) {
+    if (this.entries.has(messageId)) {
+      return true;
+    }
+
+    const time = Number(internalDate);
+    return Number.isFinite(time) && time > 0 && time < Date.now() - RETENTION_MS;
+  }
+
+  add(messageId, internalDate) {
+    const time = Number(internalDate) || Date.now();
+    this.entries.set(messageId, time);
+    this.dirty = true;
+  }
+
+  evict() {
+    const cutoff = Date.now() - RETENTION_MS;
+
+    for (const [id, time] of this.entries) {
+      if (time < cutoff) {
+        this.entries.delete(id);
+        this.dirty = true;
+      }
+    }
+
+    if (this.entries.size > MAX_ENTRIES) {
+      const sorted = [...this.entries].sort((a, b) => a[1] - b[1]);
+      this.entries = new Map(sorted.slice(sorted.length - MAX_ENTRIES));
+      this.dirty = true;
+    }
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+
+    this.evict();
+    await chrome.storage.local.set({
+      [this.storageKey]: Object.fromEntries(this.entries)
+    });
+    this.dirty = false;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.dirty = true;
+    await this.flush();
+  }
+}
+
+/* ---------------- RETRY QUEUE ---------------- */
+
+export const RETRY_KEY = 'retry_queue';
+const MAX_RETRY_ATTEMPTS = 5;
+
+// Messages whose fetch or processing failed transiently, retried next check
+export class RetryQueue {
+  constructor(storageKey = RETRY_KEY) {
+    this.storageKey = storageKey;
+    this.entries = new Map(); // messageId -> attempts
+  }
+
+  async load() {
+    const data = await chrome.storage.local.get([this.storageKey]);
+    this.entries = new Map(Object.entries(data[this.storageKey] || {}));
+  }
+
+  get ids() {
+    return [...this.entries.keys()];
+  }
+
+  add(messageId) {
+    const attempts = (this.entries.get(messageId) || 0) + 1;
+
+    if (attempts > MAX_RETRY_ATTEMPTS) {
+      console.warn(`Giving up on message ${messageId} after ${MAX_RETRY_ATTEMPTS} attempts`);
+      this.entries.delete(messageId);
+      return;
+    }
+
+    this.entries.set(messageId, attempts);
+  }
+
+  remove(messageId) {
+    this.entries.delete(messageId);
+  }
+
+  async flush() {
+    await chrome.storage.local.set({
+      [this.storageKey]: Object.fromEntries(this.entries)
+    });
+  }
+}
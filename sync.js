@@ -0,0 +1,84 @@
+export const HISTORY_ID_KEY = 'history_id';
+
+// Upper bound on messages pulled when the history cursor is missing or expired
+const FULL_RESYNC_LIMIT = 25;
+
+export class SyncEngine {
+  constructor(api, storageKey = HISTORY_ID_KEY) {
+    this.api = api;
+    this.storageKey = storageKey;
+    this.historyId = null;
+  }
+
+  async loadState() {
+    const data = await chrome.storage.local.get([this.storageKey]);
+    this.historyId = data[this.storageKey] || null;
+    return this.historyId;
+  }
+
+  async saveState(historyId) {
+    this.historyId = historyId;
+    await chrome.storage.local.set({ [this.storageKey]: historyId });
+  }
+
+  async reset() {
+    this.historyId = null;
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /* ---------------- SYNC ---------------- */
+
+  // Returns { messages, failedIds } for mail added since the last call
+  async getNewEmails(authToken) {
+    if (!this.historyId) {
+      await this.loadState();
+    }
+
+    if (!this.historyId) {
+      return this.fullResync(authToken);
+    }
+
+    try {
+      return await this.incrementalSync(authToken);
+    } catch (error) {
+      if (error.status === 404) {
+        console.warn('History ID expired, running full resync');
+        return this.fullResync(authToken);
+      }
+      throw error;
+    }
+  }
+
+  async incrementalSync(authToken) {
+    const { messages, historyId } = await this.api.listHistory(
+      authToken,
+      this.historyId
+    );
+
+    const ids = [];
+    for (const message of messages) {
+      const labels = message.labelIds || [];
+      if (!labels.includes('UNREAD') || labels.includes('SENT') || labels.includes('DRAFT')) {
+        continue;
+      }
+      if (!ids.includes(message.id)) {
+        ids.push(message.id);
+      }
+    }
+
+    // Metadata only; bodies are pulled later for messages that get summarized
+    const result = await this.api.getMessagesDetails(authToken, ids, 'metadata');
+
+    await this.saveState(historyId);
+    return result;
+  }
+
+  async fullResync(authToken) {
+    // Take the cursor first so nothing arriving during the listing is missed
+    const profile = await this.api.getProfile(authToken);
+    const result = await this.api.getUnreadEmails(authToken, FULL_RESYNC_LIMIT);
+
+    await this.saveState(profile.historyId);
+    return result;
+  }
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractEntities } from '../extract.js';
+
+const codeOf = text => extractEntities(text).codes[0]?.code ?? null;
+
+const codes = [
+  ['Your verification code is 482913.', '482913'],
+  ['Use this one-time passcode: 123-456', '123456'],
+  ['Login code: 7Q4K92', '7Q4K92'],
+  ['OTP 5521 expires in 10 minutes.', '5521'],
+  ['Security code - 90817', '90817'],
+  ['738201 is your Acme verification code', '738201']
+];
+
+for (const [text, code] of codes) {
+  test(`extract: finds the code in "${text}"`, () => {
+    assert.equal(codeOf(text), code);
+  });
+}
+
+const notCodes = [
+  'Use code SAVE20 at checkout for 20% off.',
+  'Your new pin 2024 card arrives next week.',
+  'Password reset requested on 12 March.',
+  'Your verification code expires in 10 minutes.',
+  'Promo code WINTER2024 ends soon.'
+];
+
+for (const text of notCodes) {
+  test(`extract: finds no code in "${text}"`, () => {
+    assert.equal(codeOf(text), null);
+  });
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { classifyByKeywords, CATEGORIES, CONFIDENCE_THRESHOLD } from '../fallback.js';
+
+// Sample emails with the category, tag and confidence they must get
+const corpus = JSON.parse(readFileSync(new URL('./fixtures/fallback-corpus.json', import.meta.url), 'utf8'));
+
+for (const fixture of corpus) {
+  test(`fallback: ${fixture.name}`, () => {
+    const result = classifyByKeywords(fixture.email);
+
+    assert.equal(result.category, fixture.category);
+    assert.equal(result.tag, fixture.tag);
+    assert.equal(result.score, fixture.score);
+
+    if (fixture.category) {
+      assert.ok(result.score >= CONFIDENCE_THRESHOLD);
+    } else {
+      assert.ok(result.score < CONFIDENCE_THRESHOLD);
+    }
+  });
+}
+
+test('fallback: every category is covered by the corpus', () => {
+  const covered = new Set(corpus.map(fixture => fixture.category));
+  CATEGORIES.forEach(category => assert.ok(covered.has(category.id), `no fixture for ${category.id}`));
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { parsePayload, decodeEncodedWords, getHeader } from '../mime.js';
+
+const fixturesDir = new URL('./fixtures/mime/', import.meta.url);
+const load = name => JSON.parse(readFileSync(new URL(name, fixturesDir), 'utf8'));
+
+// Payloads as the Gmail API returns them for format=full
+const payloads = readdirSync(fixturesDir).filter(name => name !== 'subjects.json' && name.endsWith('.json'));
+
+for (const name of payloads) {
+  const { description, payload, expected } = load(name);
+
+  test(`mime: ${description}`, () => {
+    const parsed = parsePayload(payload);
+
+    assert.equal(parsed.text, expected.text);
+    assert.deepEqual(parsed.attachments, expected.attachments);
+    if (expected.htmlIncludes) {
+      assert.ok(parsed.html.includes(expected.htmlIncludes), parsed.html);
+    } else {
+      assert.equal(parsed.html, '');
+    }
+
+    assert.equal(decodeEncodedWords(getHeader(payload.headers, 'Subject')), expected.subject);
+  });
+}
+
+for (const { encoded, decoded } of load('subjects.json')) {
+  test(`mime: decodes subject ${encoded}`, () => {
+    assert.equal(decodeEncodedWords(encoded), decoded);
+  });
+}
+
+test('mime: a missing payload parses to nothing', () => {
+  assert.deepEqual(parsePayload(null), { text: '', html: '', attachments: [] });
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDERS, CONNECTION_TEST, resolveProviderConfig } from '../providers.js';
+
+// OpenAI and Azure answer 400 to JSON mode unless a message says "json"
+for (const id of ['openai', 'azure', 'local']) {
+  test(`providers: the ${id} connection test asks for JSON`, () => {
+    const config = resolveProviderConfig({
+      aiProvider: id,
+      aiProviders: { [id]: { apiKey: 'sk-test', model: 'test-model', baseUrl: 'https://ai.example.com' } }
+    });
+    const { body } = PROVIDERS[id].buildRequest(config, CONNECTION_TEST.system, CONNECTION_TEST.user);
+
+    assert.deepEqual(body.response_format, { type: 'json_object' });
+    assert.ok(body.messages.some(message => /json/i.test(message.content)));
+  });
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRules, migrateRules, DEFAULT_RULES } from '../rules.js';
+
+const email = {
+  subject: 'Offsite agenda',
+  body: 'Thank you for joining. Join us at 10am in room 4 to plan Q3 hiring targets.',
+  sender: 'lead@example.com',
+  summary: 'Offsite starts at 10am in room 4; Q3 hiring targets are on the agenda.'
+};
+
+test('rules: built-in rules leave AI summaries alone', () => {
+  assert.equal(evaluateRules(DEFAULT_RULES, { ...email, source: 'ai' }), null);
+});
+
+test('rules: built-in rules still rewrite keyword-fallback summaries', () => {
+  const match = evaluateRules(DEFAULT_RULES, { ...email, source: 'fallback' });
+  assert.ok(match);
+});
+
+test('rules: a rule that opts in overrides AI summaries', () => {
+  const rules = [{
+    id: 'custom', name: 'Offsite', enabled: true, priority: 1,
+    match: { subject: 'offsite' }, tag: 'FYI', summary: 'Offsite: {summary}', overrideAI: true
+  }];
+  const match = evaluateRules(rules, { ...email, source: 'ai' });
+  assert.equal(match.summary, `Offsite: ${email.summary}`);
+  assert.equal(match.tag, 'FYI');
+});
+
+test('rules: stored built-in rules move to whole-word patterns', () => {
+  const interview = DEFAULT_RULES.find(r => r.id === 'interview');
+  const stored = [
+    { ...interview, enabled: false, match: { text: 'interview|hr|recruiter|hiring|selection|availability|next round' } },
+    { ...DEFAULT_RULES.find(r => r.id === 'thanks'), match: { text: 'thanks a lot' } },
+    { id: 'custom-1', name: 'Custom', enabled: true, priority: 5, match: { text: 'hr' }, tag: null, summary: 'HR' }
+  ];
+
+  const { rules, changed } = migrateRules(stored);
+  assert.ok(changed);
+  assert.equal(rules[0].match.text, interview.match.text);
+  assert.equal(rules[0].enabled, false);
+  assert.equal(rules[1], stored[1]);
+  assert.equal(rules[2], stored[2]);
+  assert.equal(migrateRules(rules).changed, false);
+});
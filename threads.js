@@ -0,0 +1,92 @@
+import { stripQuotedText } from './html.js';
+
+/* =========================
+   Threads
+   New messages are summarized against the conversation they
+   belong to. Several new messages in one thread become a single
+   update, and text already seen earlier in the thread is dropped.
+========================= */
+
+// Earlier messages sent to the model as context, newest last
+const MAX_CONTEXT_MESSAGES = 4;
+const CONTEXT_CHARS = 400;
+
+// Shorter lines ("Thanks," "Best,") repeat across messages without being quotes
+const MIN_SEEN_LINE_LENGTH = 20;
+
+export function groupByThread(emails) {
+  const threads = new Map();
+
+  for (const email of emails) {
+    const threadId = email.threadId || email.id;
+    if (!threads.has(threadId)) threads.set(threadId, []);
+    threads.get(threadId).push(email);
+  }
+
+  return threads;
+}
+
+function senderName(message) {
+  if (message.labelIds?.includes('SENT')) return 'You';
+  return message.from?.name || message.from?.email || 'Unknown';
+}
+
+function normalizeLine(line) {
+  return line.replace(/^[>\s]+/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Drop quoted history, then any line that already appeared earlier in the thread
+export function newContent(body, seenLines) {
+  return stripQuotedText(body || '')
+    .split('\n')
+    .filter(line => {
+      const normalized = normalizeLine(line);
+      return normalized.length < MIN_SEEN_LINE_LENGTH || !seenLines.has(normalized);
+    })
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Combine the new messages of one thread into a single email to summarize.
+ * Returns null when none of them are in the thread anymore.
+ */
+export function buildThreadUpdate(thread, newEmails) {
+  const newIds = new Set(newEmails.map(email => email.id));
+  const fresh = thread.messages.filter(message => newIds.has(message.id));
+  if (!fresh.length) return null;
+
+  const firstNew = Number(fresh[0].internalDate);
+  const earlier = thread.messages.filter(
+    message => !newIds.has(message.id) && Number(message.internalDate) < firstNew
+  );
+
+  const seenLines = new Set();
+  const context = earlier.map(message => {
+    const body = newContent(message.body || message.snippet, seenLines);
+    body.split('\n').forEach(line => seenLines.add(normalizeLine(line)));
+    return { from: senderName(message), body: body.slice(0, CONTEXT_CHARS) };
+  }).slice(-MAX_CONTEXT_MESSAGES);
+
+  const parts = fresh.map(message => {
+    const body = newContent(message.body || message.snippet, seenLines);
+    body.split('\n').forEach(line => seenLines.add(normalizeLine(line)));
+    return { from: senderName(message), body };
+  });
+
+  const latest = fresh[fresh.length - 1];
+  const matched = newEmails.find(email => email.id === latest.id) || newEmails[0];
+
+  return {
+    ...latest,
+    profileId: matched.profileId,
+    // One voice: the message itself; several: label who said what
+    body: parts.length === 1
+      ? parts[0].body
+      : parts.map(part => `${part.from}: ${part.body}`).join('\n\n'),
+    attachments: fresh.flatMap(message => message.attachments || []),
+    messageIds: fresh.map(message => message.id),
+    participants: [...new Set(parts.map(part => part.from))],
+    context
+  };
+}
@@ -0,0 +1,234 @@
+/* =========================
+   Vault
+   Optional passphrase protection for API keys and anything
+   derived from mail (history, corrections, the classifier).
+   The passphrase stretches into an AES-GCM key with PBKDF2;
+   while unlocked the key sits in session storage, which Chrome
+   keeps in memory and drops when the browser closes.
+========================= */
+
+const VAULT_KEY = 'vault'; // { salt, iterations, verifier }
+const SESSION_KEY = 'vault_key';
+
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+const IV_BYTES = 12;
+
+// Sealed with the key so a wrong passphrase is caught before anything is decrypted
+const VERIFIER = 'smart-gmail-notifier-vault';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export class VaultLockedError extends Error {
+  constructor(message = 'The vault is locked') {
+    super(message);
+    this.name = 'VaultLockedError';
+  }
+}
+
+/* ---------------- ENCODING ---------------- */
+
+// Chunked: spreading a large history into fromCharCode overflows the stack
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/* ---------------- CRYPTO ---------------- */
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  // Extractable so the unlocked key can be kept in session storage
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function seal(value, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(value))
+  );
+  return { sealed: 1, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+// AES-GCM rejects tampered data as well as the wrong key
+async function open(envelope, key) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    key,
+    fromBase64(envelope.data)
+  );
+  return JSON.parse(decoder.decode(data));
+}
+
+export function isSealed(value) {
+  return value?.sealed === 1 && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/* ---------------- VAULT ---------------- */
+
+export class Vault {
+  async getConfig() {
+    const data = await chrome.storage.local.get([VAULT_KEY]);
+    return data[VAULT_KEY] || null;
+  }
+
+  async isEnabled() {
+    return Boolean(await this.getConfig());
+  }
+
+  // Read from session storage every time: another page may have locked the vault
+  async getKey() {
+    const data = await chrome.storage.session.get([SESSION_KEY]);
+    if (!data[SESSION_KEY]) return null;
+
+    return crypto.subtle.importKey(
+      'raw',
+      fromBase64(data[SESSION_KEY]),
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async status() {
+    const enabled = await this.isEnabled();
+    return { enabled, unlocked: enabled && Boolean(await this.getKey()) };
+  }
+
+  async keepUnlocked(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [SESSION_KEY]: toBase64(raw) });
+  }
+
+  async unlock(passphrase) {
+    const config = await this.getConfig();
+    if (!config) {
+      throw new Error('The vault is not enabled');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+    try {
+      if (await open(config.verifier, key) !== VERIFIER) throw new Error();
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+
+    await this.keepUnlocked(key);
+  }
+
+  async lock() {
+    await chrome.storage.session.remove(SESSION_KEY);
+  }
+
+  /* ---------- Turning it on and off ---------- */
+
+  // storageKeys: everything to seal now; later writes go through write()
+  async enable(passphrase, storageKeys) {
+    if (await this.isEnabled()) {
+      throw new Error('The vault is already enabled');
+    }
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+    const data = await chrome.storage.local.get(storageKeys);
+    const sealedValues = {};
+    for (const storageKey of storageKeys) {
+      if (data[storageKey] !== undefined && !isSealed(data[storageKey])) {
+        sealedValues[storageKey] = await seal(data[storageKey], key);
+      }
+    }
+
+    // One write: the config and the sealed data appear together
+    await chrome.storage.local.set({
+      ...sealedValues,
+      [VAULT_KEY]: {
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        verifier: await seal(VERIFIER, key)
+      }
+    });
+    await this.keepUnlocked(key);
+  }
+
+  async disable(passphrase, storageKeys) {
+    await this.unlock(passphrase);
+    const key = await this.getKey();
+
+    const data = await chrome.storage.local.get(storageKeys);
+    const opened = {};
+    for (const storageKey of storageKeys) {
+      if (isSealed(data[storageKey])) {
+        opened[storageKey] = await open(data[storageKey], key);
+      }
+    }
+
+    await chrome.storage.local.set(opened);
+    await chrome.storage.local.remove(VAULT_KEY);
+    await this.lock();
+  }
+
+  /* ---------- Reading and writing ---------- */
+
+  // Plain values pass through, so data from before the vault was enabled still loads
+  async read(storageKey) {
+    const data = await chrome.storage.local.get([storageKey]);
+    const value = data[storageKey];
+    if (!isSealed(value)) return value;
+
+    const key = await this.getKey();
+    if (!key) {
+      throw new VaultLockedError();
+    }
+    return open(value, key);
+  }
+
+  // Never falls back to plain text: a locked vault refuses the write
+  async write(storageKey, value) {
+    if (!(await this.isEnabled())) {
+      await chrome.storage.local.set({ [storageKey]: value });
+      return;
+    }
+
+    const key = await this.getKey();
+    if (!key) {
+      throw new VaultLockedError();
+    }
+    await chrome.storage.local.set({ [storageKey]: await seal(value, key) });
+  }
+}
+
+export const vault = new Vault();
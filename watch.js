@@ -0,0 +1,64 @@
+/* =========================
+   Watch Profiles
+   Each profile is a named Gmail search (plus optional labels)
+   with its own notification policy. New mail that matches no
+   enabled profile is not notified.
+========================= */
+
+export const DEFAULT_WATCH_PROFILE = {
+  id: 'default',
+  name: 'Unread',
+  enabled: true,
+  query: 'is:unread',
+  labelIds: [],
+  tagPolicy: {} // per-tag overrides of the global policy
+};
+
+// Extra results fetched per query so newer mail can't push ours off the page
+const MATCH_HEADROOM = 50;
+
+export function resolveWatchProfiles(settings = {}) {
+  const stored = settings.watchProfiles;
+  if (!Array.isArray(stored) || !stored.length) {
+    return [DEFAULT_WATCH_PROFILE];
+  }
+
+  return stored.map(profile => ({
+    ...DEFAULT_WATCH_PROFILE,
+    ...profile,
+    labelIds: profile.labelIds || [],
+    tagPolicy: profile.tagPolicy || {}
+  }));
+}
+
+export function findWatchProfile(profiles, profileId) {
+  return profiles.find(profile => profile.id === profileId) || null;
+}
+
+// Tag each email with the first enabled profile whose search returns it
+export async function assignWatchProfiles(api, authToken, emails, profiles) {
+  if (!emails.length) return [];
+
+  const ids = new Set(emails.map(email => email.id));
+  const owner = new Map();
+
+  for (const profile of profiles.filter(p => p.enabled)) {
+    const unassigned = [...ids].filter(id => !owner.has(id));
+    if (!unassigned.length) break;
+
+    const matches = await api.listMessageIds(
+      authToken,
+      profile.query,
+      unassigned.length + MATCH_HEADROOM,
+      profile.labelIds
+    );
+
+    matches.forEach(id => {
+      if (ids.has(id) && !owner.has(id)) owner.set(id, profile.id);
+    });
+  }
+
+  return emails
+    .filter(email => owner.has(email.id))
+    .map(email => ({ ...email, profileId: owner.get(email.id) }));
+}